@@ -10,13 +10,18 @@ import {
    isIterable,
    isObject }              from '#runtime/util/object';
 
+import { TJSNotifications } from '#svelte-fvtt/component/internal';
+
 import {
+   ApplicationKeybindings,
    ApplicationState,
+   ApplicationTabs,
    GetSvelteData,
    loadSvelteConfig,
    isApplicationShell,
    SvelteReactive,
-   TJSAppIndex }           from './internal/index.js';
+   TJSAppIndex,
+   WindowSnap }            from './internal/index.js';
 
 /**
  * Provides a Svelte aware extension to the Foundry {@link Application} class to manage the app lifecycle
@@ -71,6 +76,20 @@ export class SvelteApplication extends Application
     */
    #initialZIndex = 95;
 
+   /**
+    * Provides scoped keyboard commands.
+    *
+    * @type {ApplicationKeybindings}
+    */
+   #keybindings;
+
+   /**
+    * Provides notifications displayed in the application.
+    *
+    * @type {TJSNotifications}
+    */
+   #notifications;
+
    /**
     * Stores on mount state which is checked in _render to trigger onSvelteMount callback.
     *
@@ -92,6 +111,13 @@ export class SvelteApplication extends Application
     */
    #reactive;
 
+   /**
+    * Provides window snapping / docking while dragging and resizing.
+    *
+    * @type {WindowSnap}
+    */
+   #snap;
+
    /**
     * Stores SvelteData entries with instantiated Svelte components.
     *
@@ -99,6 +125,13 @@ export class SvelteApplication extends Application
     */
    #svelteData = [];
 
+   /**
+    * Provides the tabs of a tabbed application shell.
+    *
+    * @type {ApplicationTabs}
+    */
+   #tabs;
+
    /**
     * Provides a helper class that combines multiple methods for interacting with the mounted components tracked in
     * #svelteData.
@@ -153,6 +186,10 @@ export class SvelteApplication extends Application
       this.#reactive = new SvelteReactive(this);
 
       this.#stores = this.#reactive.initialize();
+
+      this.#snap = new WindowSnap(this, this.#stores.uiStateUpdate);
+
+      this.#keybindings = new ApplicationKeybindings(this);
    }
 
    /**
@@ -166,6 +203,7 @@ export class SvelteApplication extends Application
    static get defaultOptions()
    {
       return deepMerge(super.defaultOptions, {
+         commands: void 0,                // Keyboard commands by command ID; see `ApplicationKeybindings`.
          defaultCloseAnimation: true,     // If false the default slide close animation is not run.
          draggable: true,                 // If true then application shells are draggable.
          focusAuto: true,                 // When true auto-management of app focus is enabled.
@@ -174,15 +212,21 @@ export class SvelteApplication extends Application
          focusTrap: true,                 // When true focus trapping / wrapping is enabled keeping focus inside app.
          headerButtonNoClose: false,      // If true then the close header button is removed.
          headerButtonNoLabel: false,      // If true then header button labels are removed for application shells.
+         headerButtonOverflow: true,      // If true then header buttons that do not fit overflow into a menu.
+         headerButtonReorder: false,      // If true then header buttons can be reordered by dragging.
          headerIcon: void 0,              // Sets a header icon given an image URL.
          headerNoTitleMinimized: false,   // If true then header title is hidden when application is minimized.
          minHeight: MIN_WINDOW_HEIGHT,    // Assigned to position. Number specifying minimum window height.
          minWidth: MIN_WINDOW_WIDTH,      // Assigned to position. Number specifying minimum window width.
+         persistPosition: false,          // When true position, size & minimized state is remembered by app ID.
          positionable: true,              // If false then `position.set` does not take effect.
          positionInitial: TJSPosition.Initial.browserCentered,      // A helper for initial position placement.
          positionOrtho: true,             // When true TJSPosition is optimized for orthographic use.
          positionValidator: TJSPosition.Validators.transformWindow, // A function providing the default validator.
+         resizeOptions: void 0,           // Resize edges, aspect ratio, size grid and keyboard step for resizable apps.
          sessionStorage: void 0,          // An instance of TJSWebStorage (session) to share across SvelteApplications.
+         snap: false,                     // Enables window snapping / docking; `true` or snap options object.
+         stateStorage: void 0,            // A storage backend to persist saved application state.
          svelte: void 0,                  // A Svelte configuration object.
          transformOrigin: 'top left'      // By default, 'top / left' respects rotation when minimizing.
       });
@@ -202,6 +246,32 @@ export class SvelteApplication extends Application
     */
    get elementTarget() { return this.#elementTarget; }
 
+   /**
+    * Returns the scoped keyboard command manager.
+    *
+    * @returns {ApplicationKeybindings} The keyboard command manager.
+    */
+   get keybindings() { return this.#keybindings; }
+
+   /**
+    * Returns the notification center scoped to this application. The notification center is created on first use.
+    *
+    * @returns {TJSNotifications} The notification center.
+    */
+   get notifications()
+   {
+      // Notifications are displayed in the app element and follow it into PopOut windows. Notifications of an app
+      // that is not rendered are displayed in the active window.
+      if (!this.#notifications)
+      {
+         this.#notifications = new TJSNotifications({
+            target: () => this.elementTarget ?? this.reactive.activeWindow.document.body
+         });
+      }
+
+      return this.#notifications;
+   }
+
    /**
     * Returns the reactive accessors & Svelte stores for SvelteApplication.
     *
@@ -209,6 +279,13 @@ export class SvelteApplication extends Application
     */
    get reactive() { return this.#reactive; }
 
+   /**
+    * Returns the window snapping / docking manager.
+    *
+    * @returns {WindowSnap} The window snapping / docking manager.
+    */
+   get snap() { return this.#snap; }
+
    /**
     * Returns the application state manager.
     *
@@ -216,6 +293,22 @@ export class SvelteApplication extends Application
     */
    get state() { return this.#applicationState; }
 
+   /**
+    * Returns the tab manager of a tabbed application shell. The tab manager is created on first use.
+    *
+    * @returns {ApplicationTabs} The tab manager.
+    */
+   get tabs()
+   {
+      // Detached tab windows are created here to avoid a circular import of SvelteApplication.
+      if (!this.#tabs)
+      {
+         this.#tabs = new ApplicationTabs(this, (windowOptions) => new SvelteApplication(windowOptions));
+      }
+
+      return this.#tabs;
+   }
+
    /**
     * Returns the Svelte helper class w/ various methods to access mounted Svelte components.
     *
@@ -223,6 +316,18 @@ export class SvelteApplication extends Application
     */
    get svelte() { return this.#getSvelteData; }
 
+   /**
+    * Registers the `commands` defined in `defaultOptions` of this application class with Foundry `game.keybindings`
+    * allowing users to change key chords in the core `Configure Controls` dialog. This must be invoked during the
+    * `init` hook and the application class must define an `id` in `defaultOptions`.
+    *
+    * @param {string}   namespace - The module or system ID that registers the keybindings.
+    */
+   static registerKeybindings(namespace)
+   {
+      ApplicationKeybindings.register(this, namespace);
+   }
+
    /**
     * In this case of when a template is defined in app options `html` references the inner HTML / template. However,
     * to activate classic v1 tabs for a Svelte component the element target is passed as an array simulating JQuery as
@@ -326,6 +431,9 @@ export class SvelteApplication extends Application
       // Reject close invocations when the element window is not the main originating window / globalThis.
       if (el?.ownerDocument?.defaultView !== globalThis) { return; }
 
+      // Remember the position / size / minimized state when `persistPosition` is enabled.
+      this.#applicationState.persistSave();
+
       /**
        * @ignore
        * @internal
@@ -335,6 +443,12 @@ export class SvelteApplication extends Application
       // Unsubscribe from any local stores.
       this.#stores.unsubscribe();
 
+      // Close any detached tab windows.
+      this.#tabs?.closeDetached();
+
+      // Remove any notifications.
+      this.#notifications?.clear();
+
       // Make any window content overflow hidden to avoid any scrollbars appearing in default or Svelte outro
       // transitions.
       const content = el.querySelector('.window-content');
@@ -830,15 +944,23 @@ export class SvelteApplication extends Application
       // Set all header buttons besides close and the window title to display none.
       for (let cntr = header.children.length; --cntr >= 0;)
       {
-         const className = header.children[cntr].className;
+         // Header buttons are wrapped by `display: contents` elements; check the wrapped button classes.
+         const wrapped = header.children[cntr].classList.contains('tjs-header-button-item');
 
-         if (className.includes('window-title') || className.includes('close')) { continue; }
+         const className = wrapped ? header.children[cntr].firstElementChild?.className ?? '' :
+          header.children[cntr].className;
+
+         if (className.includes('window-title') || className.includes('close'))
+         {
+            if (wrapped) { header.children[cntr].style.display = 'contents'; }
+            continue;
+         }
 
          // v10+ of Foundry core styles automatically hides anything besides the window title and close button, so
          // explicitly set display to block.
          if (className.includes('keep-minimized'))
          {
-            header.children[cntr].style.display = 'block';
+            header.children[cntr].style.display = wrapped ? 'contents' : 'block';
             continue;
          }
 
@@ -960,6 +1082,9 @@ export class SvelteApplication extends Application
 
       if (!this.#onMount)
       {
+         // Reapply any remembered position / size / minimized state when `persistPosition` is enabled.
+         this.#applicationState.persistRestore();
+
          // Add to visible apps tracked.
          TJSAppIndex.add(this);
 
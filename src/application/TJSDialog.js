@@ -1,4 +1,10 @@
-import { DialogShell }        from '#svelte-fvtt/component/internal';
+import {
+   DialogFilePick,
+   DialogShell }              from '#svelte-fvtt/component/internal';
+
+import {
+   localize,
+   selectOptions }            from '#svelte-fvtt/helper';
 
 import { ManagedPromise }     from '#runtime/util/async';
 
@@ -6,7 +12,9 @@ import {
    deepMerge,
    isObject }                 from '#runtime/util/object';
 
-import { TJSDialogData }      from './internal/state-dialog/index.js';
+import {
+   TJSDialogData,
+   TJSDialogForm }            from './internal/state-dialog/index.js';
 import { SvelteApplication }  from './SvelteApplication.js';
 
 /**
@@ -38,13 +46,18 @@ import { SvelteApplication }  from './SvelteApplication.js';
  * Please refer to {@link TJSDialogOptions} for the various options used to construct the dialog.
  *
  * There are a couple of static helper methods to quickly create standard dialogs such as a 'yes' / 'no' confirmation
- * dialog with {@link TJSDialog.confirm} and an 'ok' single button dialog with {@link TJSDialog.prompt}.
+ * dialog with {@link TJSDialog.confirm} and an 'ok' single button dialog with {@link TJSDialog.prompt}. Single field
+ * input dialogs with typed results are available with {@link TJSDialog.input}, {@link TJSDialog.select},
+ * {@link TJSDialog.choose} and {@link TJSDialog.filePick}.
  */
 export class TJSDialog extends SvelteApplication
 {
    /** @type {TJSDialogData} */
    #data;
 
+   /** @type {TJSDialogForm | undefined} */
+   #form;
+
    /** @type {ManagedPromise} */
    #managedPromise;
 
@@ -117,6 +130,11 @@ export class TJSDialog extends SvelteApplication
     */
    get data() { return this.#data; }
 
+   /**
+    * @returns {TJSDialogForm | undefined} Returns the form manager for dialogs created by {@link TJSDialog.form}.
+    */
+   get form() { return this.#form; }
+
    /**
     * @returns {import('#runtime/util/async').ManagedPromise} Returns the managed promise.
     */
@@ -188,10 +206,20 @@ export class TJSDialog extends SvelteApplication
     * @param {boolean}  [options.reuse=false] - When true if there is an existing managed Promise this allows multiple
     *        sources to await on the same result.
     *
+    * @param {AbortSignal}  [options.signal] - An optional AbortSignal; when aborted the Promise is rejected with the
+    *        abort reason and the dialog is closed.
+    *
     * @returns {Promise<T>} A promise for dialog resolution.
     */
-   async wait(options)
+   async wait({ signal, ...options } = {})
    {
+      if (signal !== void 0 && !(signal instanceof AbortSignal))
+      {
+         throw new TypeError(`TJSDialog.wait error: 'signal' is not an AbortSignal.`);
+      }
+
+      if (signal?.aborted) { throw TJSDialog.#abortReason(signal); }
+
       // TODO: Direct usage of Foundry core Application API.
       if (this.rendered)
       {
@@ -204,11 +232,113 @@ export class TJSDialog extends SvelteApplication
 
       // Return a managed Promise which is automatically resolved on button press via `DialogContent` component or when
       // the dialog is closed.
-      return this.#managedPromise.create(options);
+      const promise = this.#managedPromise.create(options);
+
+      if (signal)
+      {
+         const onAbort = () =>
+         {
+            // Reject before closing so that the abort reason is not replaced by the `null` close result.
+            if (this.#managedPromise.reject(TJSDialog.#abortReason(signal))) { this.close(); }
+         };
+
+         signal.addEventListener('abort', onAbort, { once: true });
+
+         promise.then(() => signal.removeEventListener('abort', onAbort),
+          () => signal.removeEventListener('abort', onAbort));
+      }
+
+      return promise;
    }
 
    // ---------------------------------------------------------------------------------------------------------------
 
+   /**
+    * A helper factory method to create a multiple choice dialog that displays a checkbox for each choice. Choices are
+    * defined like the `radioBoxes` helper as a mapping of choice keys to human-readable labels. Submitting resolves with
+    * an array of the checked choice keys.
+    *
+    * Note: `null` is returned if the dialog is closed without submitting.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    choices: Record<string, string>,
+    *    value?: string[],
+    *    localize?: boolean,
+    *    field?: import('./internal/state-dialog/types').TJSDialogFormField,
+    *    label?: string,
+    *    icon?: string
+    * }} data - Choose dialog options that includes any TJSDialog options along with the following fields:
+    *
+    * @param {Record<string, string>}  data.choices - A mapping of choice keys to human-readable labels.
+    *
+    * @param {string[]} [data.value] - The initially checked choice keys.
+    *
+    * @param {boolean}  [data.localize=false] - Pass each label through string localization.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogFormField} [data.field] - Field label and validation;
+    *        `minLength` / `maxLength` limit the number of checked choices.
+    *
+    * @param {string}   [data.label='OK'] - The submit button text.
+    *
+    * @param {string}   [data.icon="fas fa-check"] - Set another icon besides `fas fa-check` for the submit button.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options]  SvelteApplication options passed to the TJSDialog
+    *        constructor.
+    *
+    * @returns {Promise<string[] | null>} A Promise that resolves to the checked choice keys.
+    *
+    * @example
+    * const result = await TJSDialog.choose({
+    *  title: 'Import Packs',
+    *  choices: { actors: 'Actors', items: 'Items', scenes: 'Scenes' },
+    *  value: ['actors'],
+    *  field: { label: 'Packs', required: true, maxLength: 2 }
+    * });
+    *
+    * // Logs an array of checked keys or null if the user closed the dialog without submitting.
+    * console.log(result);
+    */
+   static async choose({ choices, value = [], localize: localizeLabels = false, field = {}, label = 'OK',
+    icon = 'fas fa-check', ...data } = {}, options = {})
+   {
+      if (!isObject(choices)) { throw new TypeError(`TJSDialog.choose error: 'choices' is not an object.`); }
+
+      const checked = Array.isArray(value) ? value.map(String) : [];
+
+      const keys = Object.keys(choices);
+
+      let html = '';
+
+      for (const key of keys)
+      {
+         const choiceLabel = localizeLabels ? localize(choices[key]) : choices[key];
+
+         html += `<label class="checkbox"><input type="checkbox" name="value" value="${TJSDialog.#escape(key)}" ` +
+          `${checked.includes(key) ? 'checked' : ''}> ${TJSDialog.#escape(choiceLabel)}</label>`;
+      }
+
+      return this.form({
+         ...data,
+         content: TJSDialog.#fieldContent(html, field, data.content),
+         schema: {
+            value: {
+               ...field,
+               label: field.label ?? 'Selection',
+               messages: {
+                  minLength: '{label} requires at least {minLength} choices.',
+                  maxLength: '{label} allows at most {maxLength} choices.',
+                  ...field.messages
+               }
+            }
+         },
+
+         // A single checkbox resolves as a boolean; convert to an array of keys.
+         onSubmit: ({ values }) => Array.isArray(values.value) ? values.value : values.value ? [keys[0]] : [],
+         label,
+         icon
+      }, options);
+   }
+
    /**
     * A helper factory method to create simple confirmation dialog windows which consist of simple yes / no prompts.
     * If you require more flexibility, a custom TJSDialog instance is preferred. The default focused button is 'yes'.
@@ -273,6 +403,224 @@ export class TJSDialog extends SvelteApplication
       }, options);
    }
 
+   /**
+    * A helper factory method to create a file pick dialog. A path input is displayed with a button that opens the
+    * Foundry FilePicker; the path may also be entered manually. Submitting resolves with the chosen path.
+    *
+    * Note: `null` is returned if the dialog is closed without submitting.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    type?: string,
+    *    value?: string,
+    *    placeholder?: string,
+    *    pickerOptions?: object,
+    *    field?: import('./internal/state-dialog/types').TJSDialogFormField,
+    *    label?: string,
+    *    icon?: string
+    * }} [data] - File pick dialog options that includes any TJSDialog options along with the following optional
+    *        fields:
+    *
+    * @param {string}   [data.type='any'] - The FilePicker type; `any`, `audio`, `folder`, `font`, `image`, `imagevideo`,
+    *        `text` or `video`.
+    *
+    * @param {string}   [data.value] - The initial path.
+    *
+    * @param {string}   [data.placeholder] - Path input placeholder.
+    *
+    * @param {object}   [data.pickerOptions] - Additional options passed to the FilePicker constructor.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogFormField} [data.field] - Field label and validation.
+    *
+    * @param {string}   [data.label='Select'] - The submit button text.
+    *
+    * @param {string}   [data.icon="fas fa-check"] - Set another icon besides `fas fa-check` for the submit button.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options]  SvelteApplication options passed to the TJSDialog
+    *        constructor.
+    *
+    * @returns {Promise<string | null>} A Promise that resolves to the chosen path.
+    *
+    * @example
+    * const result = await TJSDialog.filePick({
+    *  title: 'Token Image',
+    *  type: 'image',
+    *  field: { label: 'Image', required: true }
+    * });
+    *
+    * // Logs the chosen path or null if the user closed the dialog without submitting.
+    * console.log(result);
+    */
+   static async filePick({ type = 'any', value = '', placeholder, pickerOptions = {}, field = {}, label = 'Select',
+    icon = 'fas fa-check', ...data } = {}, options = {})
+   {
+      return this.form({
+         ...data,
+         content: {
+            class: DialogFilePick,
+            props: {
+               content: typeof data.content === 'string' ? data.content : void 0,
+               fieldLabel: typeof field.label === 'string' ? localize(field.label) : void 0,
+               name: 'value',
+               pickerOptions,
+               placeholder,
+               type,
+               value
+            }
+         },
+         schema: { value: { ...field, type: 'string' } },
+         onSubmit: ({ values }) => values.value,
+         label,
+         icon
+      }, options);
+   }
+
+   /**
+    * A helper factory method to create a form dialog. All named `input`, `select` and `textarea` elements in the dialog
+    * content are collected into a value object and validated against the declarative `schema` keyed by element name.
+    * Inline errors are displayed for invalid fields after they are modified and the `submit` button is disabled until
+    * the form is valid. Submitting resolves with the typed form values or the result of `onSubmit`.
+    *
+    * Content components may access the form manager via `application.form` from the `#external` context to subscribe
+    * to the `errors` / `valid` stores; set `inlineErrors` to false to render errors in your component.
+    *
+    * Note: `null` is returned if the dialog is closed without submitting.
+    *
+    * @template T
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    schema?: Record<string, import('./internal/state-dialog/types').TJSDialogFormField>,
+    *    inlineErrors?: boolean,
+    *    onSubmit?: (data: { application: TJSDialog, values: T }) => any,
+    *    label?: string,
+    *    icon?: string
+    * }} [data] - Form dialog options that includes any TJSDialog options along with the following optional fields:
+    *
+    * @param {Record<string, import('./internal/state-dialog/types').TJSDialogFormField>} [data.schema] - Validation
+    *        schema by form element name.
+    *
+    * @param {boolean}  [data.inlineErrors=true] - When true inline error elements are displayed after invalid fields.
+    *
+    * @param {(data: { application: TJSDialog, values: T }) => any} [data.onSubmit] - Invoked with valid form values;
+    *        may be an async function. The result resolves the dialog; if an error is thrown the dialog remains open.
+    *
+    * @param {string}   [data.label='Submit'] - The submit button text.
+    *
+    * @param {string}   [data.icon="fas fa-check"] - Set another icon besides `fas fa-check` for the submit button.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options]  SvelteApplication options passed to the TJSDialog
+    *        constructor.
+    *
+    * @returns {Promise<T | null>} A Promise that resolves to the form values or result of `onSubmit`.
+    *
+    * @example
+    * const result = await TJSDialog.form({
+    *  title: 'Create Token',
+    *  content: '<input name="name" type="text"><input name="size" type="number">',
+    *  schema: {
+    *     name: { label: 'Name', required: true, maxLength: 32 },
+    *     size: { label: 'Size', required: true, min: 1, max: 10 }
+    *  }
+    * });
+    *
+    * // Logs `{ name: string, size: number }` or null if the user closed the dialog without submitting.
+    * console.log(result);
+    */
+   static async form({ schema = {}, inlineErrors = true, onSubmit, label = 'Submit', icon = 'fas fa-check', signal,
+    ...data } = {}, options = {})
+   {
+      const dialog = new this({
+         ...data,
+         buttons: {
+            submit: {
+               icon,
+               label,
+               autoClose: false,
+               disabled: true,
+               onPress: ({ application }) => application.form.submit()
+            },
+            ...data.buttons
+         },
+         default: data.default ?? 'submit'
+      }, options);
+
+      dialog.#form = new TJSDialogForm(dialog, { schema, inlineErrors, onSubmit, submitButton: 'submit' });
+
+      return dialog.wait({ signal });
+   }
+
+   /**
+    * A helper factory method to create a single input dialog for text or numbers. Submitting resolves with the typed
+    * input value; a number for `number` / `range` inputs and a string otherwise.
+    *
+    * Note: `null` is returned if the dialog is closed without submitting.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    type?: string,
+    *    value?: string | number,
+    *    placeholder?: string,
+    *    step?: number | 'any',
+    *    field?: import('./internal/state-dialog/types').TJSDialogFormField,
+    *    label?: string,
+    *    icon?: string
+    * }} [data] - Input dialog options that includes any TJSDialog options along with the following optional fields:
+    *
+    * @param {string}   [data.type='text'] - The input type; `textarea` creates a textarea element.
+    *
+    * @param {string | number}   [data.value] - The initial value.
+    *
+    * @param {string}   [data.placeholder] - Input placeholder.
+    *
+    * @param {number | 'any'}   [data.step] - The step attribute for number / range inputs.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogFormField} [data.field] - Field label and validation.
+    *
+    * @param {string}   [data.label='OK'] - The submit button text.
+    *
+    * @param {string}   [data.icon="fas fa-check"] - Set another icon besides `fas fa-check` for the submit button.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options]  SvelteApplication options passed to the TJSDialog
+    *        constructor.
+    *
+    * @returns {Promise<string | number | null>} A Promise that resolves to the input value.
+    *
+    * @example
+    * const result = await TJSDialog.input({
+    *  title: 'Light Radius',
+    *  type: 'number',
+    *  value: 20,
+    *  field: { label: 'Radius', required: true, min: 0, max: 120 }
+    * });
+    *
+    * // Logs a number or null if the user closed the dialog without submitting.
+    * console.log(result);
+    */
+   static async input({ type = 'text', value, placeholder, step, field = {}, label = 'OK', icon = 'fas fa-check',
+    ...data } = {}, options = {})
+   {
+      const isNumber = type === 'number' || type === 'range';
+
+      const attributes = [
+         value !== void 0 && type !== 'textarea' ? `value="${TJSDialog.#escape(value)}"` : '',
+         placeholder !== void 0 ? `placeholder="${TJSDialog.#escape(placeholder)}"` : '',
+         isNumber && step !== void 0 ? `step="${TJSDialog.#escape(step)}"` : '',
+         isNumber && typeof field.min === 'number' ? `min="${field.min}"` : '',
+         isNumber && typeof field.max === 'number' ? `max="${field.max}"` : ''
+      ].filter((attribute) => attribute !== '').join(' ');
+
+      const html = type === 'textarea' ?
+       `<textarea name="value" ${attributes}>${value !== void 0 ? TJSDialog.#escape(value) : ''}</textarea>` :
+        `<input name="value" type="${TJSDialog.#escape(type)}" ${attributes}>`;
+
+      return this.form({
+         ...data,
+         content: TJSDialog.#fieldContent(html, field, data.content),
+         schema: { value: { ...field, type: field.type ?? (isNumber ? 'number' : 'string') } },
+         onSubmit: ({ values }) => values.value,
+         label,
+         icon
+      }, options);
+   }
+
    /**
     * A helper method to invoke a callback function directly or lookup an exported function with the same name from any
     * content Svelte component to invoke. This is used internally to apply default values for `confirm` and `prompt`.
@@ -381,6 +729,94 @@ export class TJSDialog extends SvelteApplication
       }, options);
    }
 
+   /**
+    * A helper factory method to create a single choice select dialog. Choices are defined like the `selectOptions`
+    * helper and all of its options are supported. Submitting resolves with the selected choice key or `null` when a
+    * blank option is selected.
+    *
+    * Note: `null` is returned if the dialog is closed without submitting.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    choices: object | object[],
+    *    value?: string,
+    *    blank?: string,
+    *    localize?: boolean,
+    *    sort?: boolean,
+    *    nameAttr?: string,
+    *    labelAttr?: string,
+    *    inverted?: boolean,
+    *    field?: import('./internal/state-dialog/types').TJSDialogFormField,
+    *    label?: string,
+    *    icon?: string
+    * }} data - Select dialog options that includes any TJSDialog options along with the following fields:
+    *
+    * @param {object | object[]} data.choices - A mapping of choice keys to human-readable labels or an array of
+    *        choice objects used with `nameAttr` / `labelAttr`.
+    *
+    * @param {string}   [data.value] - The initially selected choice key.
+    *
+    * @param {string}   [data.blank] - Add a blank option as the first option with this label.
+    *
+    * @param {boolean}  [data.localize=false] - Pass each label through string localization.
+    *
+    * @param {boolean}  [data.sort=false] - When true sort by label name.
+    *
+    * @param {string}   [data.nameAttr] - Look up a property in the choice object values to use as the option value.
+    *
+    * @param {string}   [data.labelAttr] - Look up a property in the choice object values to use as the option label.
+    *
+    * @param {boolean}  [data.inverted=false] - Use the choice object value as the option value, and the key as the
+    *        label instead of vice-versa.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogFormField} [data.field] - Field label and validation.
+    *
+    * @param {string}   [data.label='OK'] - The submit button text.
+    *
+    * @param {string}   [data.icon="fas fa-check"] - Set another icon besides `fas fa-check` for the submit button.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options]  SvelteApplication options passed to the TJSDialog
+    *        constructor.
+    *
+    * @returns {Promise<string | null>} A Promise that resolves to the selected choice key.
+    *
+    * @example
+    * const result = await TJSDialog.select({
+    *  title: 'Difficulty',
+    *  choices: { easy: 'Easy', normal: 'Normal', hard: 'Hard' },
+    *  value: 'normal'
+    * });
+    *
+    * // Logs the selected key or null if the user closed the dialog without submitting.
+    * console.log(result);
+    */
+   static async select({ choices, value, blank, localize: localizeLabels = false, sort = false, nameAttr, labelAttr,
+    inverted = false, field = {}, label = 'OK', icon = 'fas fa-check', ...data } = {}, options = {})
+   {
+      if (!isObject(choices) && !Array.isArray(choices))
+      {
+         throw new TypeError(`TJSDialog.select error: 'choices' is not an object or array.`);
+      }
+
+      const html = `<select name="value">${selectOptions(choices, {
+         selected: value,
+         blank,
+         localize: localizeLabels,
+         sort,
+         nameAttr,
+         labelAttr,
+         inverted
+      })}</select>`;
+
+      return this.form({
+         ...data,
+         content: TJSDialog.#fieldContent(html, field, data.content),
+         schema: { value: { ...field, type: 'string' } },
+         onSubmit: ({ values }) => values.value !== '' ? values.value : null,
+         label,
+         icon
+      }, options);
+   }
+
    /**
     * Creates an anonymous data defined TJSDialog returning a Promise that can be awaited upon for the user to make a
     * choice.
@@ -400,7 +836,55 @@ export class TJSDialog extends SvelteApplication
    {
       if (!isObject(data)) { throw new TypeError(`TJSDialog.wait error: 'data' is not an object'.`); }
 
+      const { signal, ...dialogData } = data;
+
       // Instantiate and render the dialog.
-      return new this({ ...data }, options).wait();
+      return new this(dialogData, options).wait({ signal });
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @param {AbortSignal} signal - An aborted signal.
+    *
+    * @returns {*} The abort reason or a default `AbortError` DOMException.
+    */
+   static #abortReason(signal)
+   {
+      return signal.reason ?? new DOMException('TJSDialog aborted.', 'AbortError');
+   }
+
+   /**
+    * Escapes a value for use in dialog content HTML.
+    *
+    * @param {*}  value - Value to escape.
+    *
+    * @returns {string} Escaped string.
+    */
+   static #escape(value)
+   {
+      return globalThis.Handlebars.escapeExpression(String(value));
+   }
+
+   /**
+    * Creates the dialog content for the built-in single field factories wrapping the field HTML in a form group after
+    * any string `content` message.
+    *
+    * @param {string}   html - Field HTML.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogFormField} field - Field schema.
+    *
+    * @param {*}  [content] - Dialog content.
+    *
+    * @returns {string} Dialog content HTML.
+    */
+   static #fieldContent(html, field, content)
+   {
+      const message = typeof content === 'string' ? content : '';
+
+      const fieldLabel = typeof field.label === 'string' ?
+       `<label>${TJSDialog.#escape(localize(field.label))}</label>` : '';
+
+      return `${message}<div class="form-group">${fieldLabel}<div class="form-fields">${html}</div></div>`;
    }
 }
@@ -0,0 +1,284 @@
+import { ManagedPromise }  from '#runtime/util/async';
+
+import { isObject }        from '#runtime/util/object';
+
+import { TJSDialog }       from './TJSDialog.js';
+
+/**
+ * Provides a queue that serializes dialogs, so that only one queued dialog is displayed at a time. This prevents
+ * multiple modules from stacking modal dialogs / glass panes when they are opened at the same time such as on the
+ * `ready` hook.
+ *
+ * Queued dialogs are displayed in order of priority; higher priorities first and in insertion order for the same
+ * priority. When a `key` is provided any dialog already queued or displayed with the same key is not queued again and
+ * instead the caller receives the same Promise for the result.
+ *
+ * A shared queue instance is available from {@link TJSDialogQueue.shared}. Separate queue instances may also be
+ * created.
+ *
+ * @example
+ * const result = await TJSDialogQueue.shared.confirm({
+ *    title: 'Migrate Data',
+ *    content: '<p>Migrate world data now?</p>',
+ *    modal: true
+ * }, {}, { key: 'my-module-migrate', priority: 10 });
+ */
+export class TJSDialogQueue
+{
+   /**
+    * @type {TJSDialogQueue}
+    */
+   static #shared;
+
+   /**
+    * The entry currently being displayed.
+    *
+    * @type {import('./internal/state-dialog/types').TJSDialogQueueEntry | null}
+    */
+   #active = null;
+
+   /**
+    * All pending entries sorted by priority.
+    *
+    * @type {import('./internal/state-dialog/types').TJSDialogQueueEntry[]}
+    */
+   #pending = [];
+
+   constructor()
+   {
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {TJSDialogQueue} A shared queue instance.
+    */
+   static get shared()
+   {
+      if (!this.#shared) { this.#shared = new TJSDialogQueue(); }
+
+      return this.#shared;
+   }
+
+   /**
+    * @returns {boolean} Whether a queued dialog is currently displayed.
+    */
+   get active() { return this.#active !== null; }
+
+   /**
+    * @returns {number} The number of pending queue entries not yet displayed.
+    */
+   get size() { return this.#pending.length; }
+
+   /**
+    * Adds a function that displays a dialog to the queue. The function is invoked when it is this entries turn and the
+    * next entry is not processed until the returned Promise settles.
+    *
+    * @template T
+    *
+    * @param {() => Promise<T>}  fn - A function that displays a dialog and returns a Promise for the result.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogQueueOptions}  [options] - Queue options.
+    *
+    * @returns {Promise<T>} A Promise for the dialog result.
+    */
+   add(fn, { key, priority = 0 } = {})
+   {
+      if (typeof fn !== 'function') { throw new TypeError(`TJSDialogQueue.add error: 'fn' is not a function.`); }
+
+      if (key !== void 0 && typeof key !== 'string')
+      {
+         throw new TypeError(`TJSDialogQueue.add error: 'key' is not a string.`);
+      }
+
+      if (!Number.isFinite(priority))
+      {
+         throw new TypeError(`TJSDialogQueue.add error: 'priority' is not a finite number.`);
+      }
+
+      // Deduplicate by key returning the existing Promise.
+      if (key !== void 0)
+      {
+         const existing = this.#find(key);
+         if (existing) { return existing.managedPromise.get(); }
+      }
+
+      const managedPromise = new ManagedPromise();
+      const promise = managedPromise.create();
+
+      const entry = { fn, key, priority, managedPromise };
+
+      // Insert before the first entry with a lower priority.
+      const index = this.#pending.findIndex((pending) => pending.priority < priority);
+
+      if (index >= 0) { this.#pending.splice(index, 0, entry); }
+      else { this.#pending.push(entry); }
+
+      this.#process();
+
+      return promise;
+   }
+
+   /**
+    * Removes all pending entries resolving their Promises with `null`. Any currently displayed dialog is not closed.
+    */
+   clear()
+   {
+      const pending = this.#pending;
+
+      this.#pending = [];
+
+      for (const entry of pending) { entry.managedPromise.resolve(null); }
+   }
+
+   /**
+    * Queues a {@link TJSDialog.confirm} dialog.
+    *
+    * @template T
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    onYes?: string | ((data?: { application?: TJSDialog }) => any),
+    *    onNo?: string | ((data?: { application?: TJSDialog }) => any)
+    * }} [data] - Confirm dialog options.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options] - SvelteApplication options passed to the dialog
+    *        constructor.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogQueueOptions}  [queueOptions] - Queue options.
+    *
+    * @returns {Promise<T>} A Promise for the dialog result.
+    */
+   confirm(data, options, { dialogClass = TJSDialog, ...queueOptions } = {})
+   {
+      return this.add(() => dialogClass.confirm(data, options), queueOptions);
+   }
+
+   /**
+    * @param {string}   key - Queue key.
+    *
+    * @returns {boolean} Whether a dialog with the given key is queued or currently displayed.
+    */
+   has(key)
+   {
+      return this.#find(key) !== void 0;
+   }
+
+   /**
+    * Returns the place in the queue for the given key; `0` is the currently displayed dialog.
+    *
+    * @param {string}   key - Queue key.
+    *
+    * @returns {number} Place in the queue or `-1` if not found.
+    */
+   position(key)
+   {
+      if (this.#active?.key === key) { return 0; }
+
+      const index = this.#pending.findIndex((entry) => entry.key === key);
+
+      return index >= 0 ? index + (this.#active ? 1 : 0) : -1;
+   }
+
+   /**
+    * Queues a {@link TJSDialog.prompt} dialog.
+    *
+    * @template T
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions & {
+    *    onOk?: string | ((data?: { application?: TJSDialog }) => any),
+    *    label?: string,
+    *    icon?: string
+    * }} [data] - Prompt dialog options.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options] - SvelteApplication options passed to the dialog
+    *        constructor.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogQueueOptions}  [queueOptions] - Queue options.
+    *
+    * @returns {Promise<T>} A Promise for the dialog result.
+    */
+   prompt(data, options, { dialogClass = TJSDialog, ...queueOptions } = {})
+   {
+      return this.add(() => dialogClass.prompt(data, options), queueOptions);
+   }
+
+   /**
+    * Removes a pending entry by key resolving its Promise with `null`. A currently displayed dialog is not removed.
+    *
+    * @param {string}   key - Queue key.
+    *
+    * @returns {boolean} Whether a pending entry was removed.
+    */
+   remove(key)
+   {
+      const index = this.#pending.findIndex((pending) => pending.key === key);
+
+      if (index < 0) { return false; }
+
+      const [entry] = this.#pending.splice(index, 1);
+      entry.managedPromise.resolve(null);
+
+      return true;
+   }
+
+   /**
+    * Queues a data defined dialog; see {@link TJSDialog.wait}.
+    *
+    * @template T
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogOptions}  data - Dialog data passed to the dialog
+    *        constructor.
+    *
+    * @param {import('./').SvelteApplicationOptions}  [options] - SvelteApplication options passed to the dialog
+    *        constructor.
+    *
+    * @param {import('./internal/state-dialog/types').TJSDialogQueueOptions}  [queueOptions] - Queue options.
+    *
+    * @returns {Promise<T>} A Promise for the dialog result.
+    */
+   wait(data, options, { dialogClass = TJSDialog, ...queueOptions } = {})
+   {
+      if (!isObject(data)) { throw new TypeError(`TJSDialogQueue.wait error: 'data' is not an object'.`); }
+
+      return this.add(() => dialogClass.wait(data, options), queueOptions);
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @param {string}   key - Queue key.
+    *
+    * @returns {import('./internal/state-dialog/types').TJSDialogQueueEntry | undefined} Active or pending entry.
+    */
+   #find(key)
+   {
+      if (this.#active?.key === key) { return this.#active; }
+
+      return this.#pending.find((entry) => entry.key === key);
+   }
+
+   /**
+    * Displays pending entries one at a time.
+    */
+   async #process()
+   {
+      if (this.#active) { return; }
+
+      while (this.#pending.length)
+      {
+         const entry = this.#pending.shift();
+
+         this.#active = entry;
+
+         try
+         {
+            entry.managedPromise.resolve(await entry.fn());
+         }
+         catch (err)
+         {
+            entry.managedPromise.reject(err);
+         }
+      }
+
+      this.#active = null;
+   }
+}
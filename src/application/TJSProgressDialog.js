@@ -0,0 +1,329 @@
+import { writable }           from '#svelte/store';
+
+import { DialogProgress }     from '#svelte-fvtt/component/internal';
+
+import { isObject }           from '#runtime/util/object';
+
+import { TJSDialog }          from './TJSDialog.js';
+
+/**
+ * Provides a progress dialog for long-running tasks built on {@link TJSDialog}. The task starts when
+ * {@link TJSProgressDialog.wait} is invoked and the dialog closes when the task completes.
+ *
+ * The task is either an async iterable / iterator or a function. A function receives `{ application, signal, update }`
+ * and may return a result, a Promise or an async iterable such as the result of an async generator function. Values
+ * yielded by an iterable update the progress; a number is the progress from `0` to `1` and an object may define
+ * `pct`, `current` / `total` and `message`. The progress bar is indeterminate until a progress value is provided.
+ *
+ * The cancel button and closing the dialog abort the `AbortSignal` passed to the task. Awaiting
+ * {@link TJSProgressDialog.wait} resolves with the task result or {@link TJSProgressDialog.cancelled} when cancelled.
+ * Errors thrown by the task reject the Promise. Unless the `notifyError` dialog option is false the error is displayed
+ * in the dialog notifications and the dialog remains open until closed by the user.
+ *
+ * @example
+ * const result = await TJSProgressDialog.wait({
+ *    title: 'Import Actors',
+ *    task: async function* ({ signal })
+ *    {
+ *       for (let i = 0; i < entries.length; i++)
+ *       {
+ *          await importEntry(entries[i], { signal });
+ *          yield { current: i + 1, total: entries.length, message: `Imported ${entries[i].name}` };
+ *       }
+ *
+ *       return entries.length;
+ *    }
+ * });
+ *
+ * if (result === TJSProgressDialog.cancelled) { console.log('Import cancelled.'); }
+ */
+export class TJSProgressDialog extends TJSDialog
+{
+   /**
+    * Resolves the managed Promise when the task is cancelled.
+    *
+    * @type {symbol}
+    */
+   static #cancelled = Symbol('TJSProgressDialog.cancelled');
+
+   /**
+    * Aborted when the task is cancelled.
+    *
+    * @type {AbortController}
+    */
+   #controller = new AbortController();
+
+   /**
+    * Progress state displayed by the dialog content.
+    *
+    * @type {import('svelte/store').Writable<import('./internal/state-dialog/types').TJSProgressData>}
+    */
+   #progress;
+
+   /**
+    * Whether the task is running.
+    *
+    * @type {boolean}
+    */
+   #running = false;
+
+   /**
+    * Whether the task has started.
+    *
+    * @type {boolean}
+    */
+   #started = false;
+
+   /**
+    * The task.
+    *
+    * @type {import('./internal/state-dialog/types').TJSProgressTask}
+    */
+   #task;
+
+   /**
+    * @param {import('./internal/state-dialog/types').TJSProgressDialogOptions}   data - Progress dialog options.
+    *
+    * @param {import('./').SvelteApplicationOptions}   [options] - SvelteApplication options.
+    */
+   constructor({ task, message, pct, cancelLabel = 'Cancel', cancelIcon = 'fas fa-times', ...data } = {},
+    options = {})
+   {
+      if (typeof task !== 'function' && !TJSProgressDialog.#isAsyncIterable(task))
+      {
+         throw new TypeError(`TJSProgressDialog error: 'task' is not a function or async iterable.`);
+      }
+
+      const progress = writable({ message, pct: TJSProgressDialog.#clamp(pct) });
+
+      super({
+         ...data,
+         autoClose: false,
+         content: {
+            class: DialogProgress,
+            props: { content: typeof data.content === 'string' ? data.content : void 0, progress }
+         },
+         buttons: {
+            cancel: {
+               icon: cancelIcon,
+               label: cancelLabel,
+               autoClose: false,
+               onPress: () => this.cancel()
+            }
+         },
+         default: 'cancel'
+      }, options);
+
+      this.#progress = progress;
+      this.#task = task;
+   }
+
+   /**
+    * @returns {symbol} The result of a cancelled task.
+    */
+   static get cancelled() { return TJSProgressDialog.#cancelled; }
+
+   /**
+    * @returns {boolean} Whether the task is running.
+    */
+   get running() { return this.#running; }
+
+   /**
+    * @returns {AbortSignal} The signal aborted when the task is cancelled.
+    */
+   get signal() { return this.#controller.signal; }
+
+   /**
+    * Cancels a running task and closes the dialog.
+    *
+    * @returns {Promise<void>}
+    */
+   async cancel()
+   {
+      await this.close();
+   }
+
+   /**
+    * Aborts any running task resolving the managed Promise with {@link TJSProgressDialog.cancelled} before closing
+    * the dialog.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.force] - Force close regardless of render state.
+    *
+    * @returns {Promise<void>} A Promise which resolves once the application is closed.
+    */
+   async close(options)
+   {
+      if (this.#running)
+      {
+         this.#running = false;
+         this.managedPromise.resolve(TJSProgressDialog.#cancelled);
+         this.#controller.abort(new DOMException('TJSProgressDialog cancelled.', 'AbortError'));
+      }
+
+      return super.close(options);
+   }
+
+   /**
+    * Updates the displayed progress.
+    *
+    * @param {number | import('./internal/state-dialog/types').TJSProgressUpdate}   data - Progress from `0` to `1` or
+    *        progress data.
+    */
+   update(data)
+   {
+      if (Number.isFinite(data))
+      {
+         this.#progress.update((current) => ({ ...current, pct: TJSProgressDialog.#clamp(data) }));
+         return;
+      }
+
+      if (!isObject(data)) { return; }
+
+      let pct = data.pct;
+
+      if (!Number.isFinite(pct) && Number.isFinite(data.current) && Number.isFinite(data.total) && data.total > 0)
+      {
+         pct = data.current / data.total;
+      }
+
+      this.#progress.update((current) => ({
+         message: typeof data.message === 'string' ? data.message : current.message,
+         pct: Number.isFinite(pct) ? TJSProgressDialog.#clamp(pct) : current.pct
+      }));
+   }
+
+   /**
+    * Renders the dialog and starts the task returning a Promise that resolves with the task result or
+    * {@link TJSProgressDialog.cancelled} when cancelled.
+    *
+    * @template T
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {boolean}  [options.reuse=false] - When true if there is an existing managed Promise this allows multiple
+    *        sources to await on the same result.
+    *
+    * @param {AbortSignal}  [options.signal] - An optional AbortSignal; when aborted the Promise is rejected with the
+    *        abort reason, the task is cancelled and the dialog is closed. The task is not started when the signal is
+    *        invalid or already aborted.
+    *
+    * @returns {Promise<T | symbol>} A promise for the task result.
+    */
+   async wait(options)
+   {
+      const promise = super.wait(options);
+
+      // `super.wait` rejects without creating a managed Promise for an invalid or already aborted signal; only start
+      // the task once the managed Promise is active.
+      if (!this.#started && this.managedPromise.isActive)
+      {
+         this.#started = true;
+         this.#run();
+      }
+
+      return promise;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @param {number}   pct - Progress.
+    *
+    * @returns {number | undefined} Progress clamped between `0` and `1`.
+    */
+   static #clamp(pct)
+   {
+      return Number.isFinite(pct) ? Math.max(0, Math.min(1, pct)) : void 0;
+   }
+
+   /**
+    * @param {*}  value - Value to test.
+    *
+    * @returns {boolean} Whether the value is an async iterable or async iterator.
+    */
+   static #isAsyncIterable(value)
+   {
+      return isObject(value) &&
+       (typeof value[Symbol.asyncIterator] === 'function' || typeof value.next === 'function');
+   }
+
+   /**
+    * Iterates an async iterable updating the progress with each yielded value.
+    *
+    * @param {AsyncIterable | AsyncIterator} iterable - Iterable.
+    *
+    * @returns {Promise<*>} The return value of the iterator.
+    */
+   async #iterate(iterable)
+   {
+      const iterator = typeof iterable[Symbol.asyncIterator] === 'function' ? iterable[Symbol.asyncIterator]() :
+       iterable;
+
+      const signal = this.#controller.signal;
+
+      for (;;)
+      {
+         if (signal.aborted)
+         {
+            await iterator.return?.();
+            return void 0;
+         }
+
+         const { done, value } = await iterator.next();
+
+         if (done) { return value; }
+
+         this.update(value);
+      }
+   }
+
+   /**
+    * Runs the task resolving or rejecting the managed Promise and closing the dialog when finished unless an error is
+    * displayed. Results and errors after cancellation are ignored.
+    *
+    * @returns {Promise<void>}
+    */
+   async #run()
+   {
+      this.#running = true;
+
+      const signal = this.#controller.signal;
+
+      try
+      {
+         let result = typeof this.#task === 'function' ? await this.#task({
+            application: this,
+            signal,
+            update: (data) => this.update(data)
+         }) : this.#task;
+
+         if (TJSProgressDialog.#isAsyncIterable(result)) { result = await this.#iterate(result); }
+
+         if (signal.aborted) { return; }
+
+         this.#running = false;
+         this.managedPromise.resolve(result);
+      }
+      catch (err)
+      {
+         if (signal.aborted) { return; }
+
+         this.#running = false;
+
+         if (!this.managedPromise.reject(err)) { console.error(err); }
+
+         const notifyError = typeof this.data.notifyError === 'boolean' ? this.data.notifyError : true;
+         if (notifyError)
+         {
+            // Keep the dialog open displaying the error until closed by the user.
+            this.notifications.error(err instanceof Error ? err.message : String(err));
+            this.data.set('buttons.cancel.label', 'Close');
+            return;
+         }
+      }
+
+      await this.close();
+   }
+}
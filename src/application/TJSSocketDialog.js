@@ -0,0 +1,537 @@
+import { Hashing }           from '#runtime/util';
+import { ManagedPromise }    from '#runtime/util/async';
+import { isObject }          from '#runtime/util/object';
+
+import { TJSDialog }         from './TJSDialog.js';
+
+/**
+ * Provides cross-client synchronized dialogs over a Foundry socket channel. A dialog is shown on the clients of the
+ * selected users and their responses are aggregated back to the originating client.
+ *
+ * All clients must create an instance with the same `channel` and invoke {@link TJSSocketDialog.listen}; typically in
+ * the `ready` hook. The channel must be a registered module or system socket channel such as `module.my-module`.
+ *
+ * Dialogs are displayed with the named static factory methods of {@link TJSDialog} such as `confirm`, `prompt`,
+ * `input`, `select`, `choose` or `wait`. As the dialog data is sent over the socket it must be serializable, so
+ * button callbacks are not available; use `resolveId: true` with {@link TJSDialog.wait} to receive the pressed button
+ * ID. A `null` response is recorded for users that close the dialog without a choice.
+ *
+ * The following aggregation modes are available:
+ * - `all`: Waits for all users to respond; the result is a record of responses by user ID.
+ * - `first`: The first non-null response wins; dialogs on the remaining clients are closed.
+ * - `majority`: The first response shared by more than half of the users wins; dialogs on the remaining clients are
+ *   closed. The result is `null` when no majority is possible.
+ *
+ * {@link TJSSocketDialog.request} returns a handle with the request ID and a Promise for the aggregated result, so
+ * that a pending request may be cancelled with {@link TJSSocketDialog.cancel}.
+ *
+ * Users that are disconnected when the request is made or disconnect while it is pending no longer count as pending.
+ * Any socket implementing `emit`, `on` and `off` may be provided for testing.
+ *
+ * @example
+ * // On all clients.
+ * const socketDialog = new TJSSocketDialog({ channel: 'module.my-module' });
+ * Hooks.once('ready', () => socketDialog.listen());
+ *
+ * // On the originating client.
+ * const { requestId, promise } = socketDialog.request({
+ *    factory: 'confirm',
+ *    mode: 'majority',
+ *    data: { title: 'Vote', content: '<p>Take a long rest?</p>' }
+ * });
+ *
+ * // Stop the vote after one minute.
+ * setTimeout(() => socketDialog.cancel(requestId), 60000);
+ *
+ * const { result } = await promise;
+ */
+export class TJSSocketDialog
+{
+   /**
+    * Allowed TJSDialog static factory methods.
+    *
+    * @type {Set<string>}
+    */
+   static #factories = new Set(['choose', 'confirm', 'filePick', 'input', 'prompt', 'select', 'wait']);
+
+   /**
+    * @type {string}
+    */
+   #channel;
+
+   /**
+    * @type {typeof TJSDialog}
+    */
+   #dialogClass;
+
+   /**
+    * Abort controllers for dialogs displayed on this client by request ID.
+    *
+    * @type {Map<string, AbortController>}
+    */
+   #displayed = new Map();
+
+   /**
+    * Stores the bound socket message handler when listening.
+    *
+    * @type {Function | undefined}
+    */
+   #handler;
+
+   /**
+    * Stores the `userConnected` hook ID when listening.
+    *
+    * @type {number | undefined}
+    */
+   #hookId;
+
+   /**
+    * Pending requests made by this client by request ID.
+    *
+    * @type {Map<string, import('./internal/state-dialog/types').TJSSocketDialogPending>}
+    */
+   #pending = new Map();
+
+   /**
+    * @type {import('./internal/state-dialog/types').TJSSocketDialogSocket}
+    */
+   #socket;
+
+   /**
+    * @type {string}
+    */
+   #userId;
+
+   /**
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.channel - Socket channel; IE `module.<module ID>` or `system.<system ID>`.
+    *
+    * @param {typeof TJSDialog}  [options.dialogClass=TJSDialog] - Dialog class used to display dialogs.
+    *
+    * @param {import('./internal/state-dialog/types').TJSSocketDialogSocket}  [options.socket=game.socket] - Socket
+    *        implementation.
+    *
+    * @param {string}   [options.userId=game.user.id] - The user ID of this client.
+    */
+   constructor({ channel, dialogClass = TJSDialog, socket: socketImpl = globalThis.game?.socket,
+    userId = globalThis.game?.user?.id } = {})
+   {
+      if (typeof channel !== 'string') { throw new TypeError(`TJSSocketDialog error: 'channel' is not a string.`); }
+
+      if (typeof dialogClass?.wait !== 'function')
+      {
+         throw new TypeError(`TJSSocketDialog error: 'dialogClass' is not a TJSDialog class.`);
+      }
+
+      if (typeof socketImpl?.emit !== 'function' || typeof socketImpl?.on !== 'function')
+      {
+         throw new TypeError(`TJSSocketDialog error: 'socket' does not implement 'emit' and 'on'.`);
+      }
+
+      if (typeof userId !== 'string') { throw new TypeError(`TJSSocketDialog error: 'userId' is not a string.`); }
+
+      this.#channel = channel;
+      this.#dialogClass = dialogClass;
+      this.#socket = socketImpl;
+      this.#userId = userId;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {string} Socket channel.
+    */
+   get channel() { return this.#channel; }
+
+   /**
+    * @returns {boolean} Whether socket messages are being handled.
+    */
+   get listening() { return this.#handler !== void 0; }
+
+   /**
+    * @returns {number} The number of pending requests made by this client.
+    */
+   get size() { return this.#pending.size; }
+
+   /**
+    * Cancels a pending request made by this client closing all dialogs. The request resolves with the responses
+    * received so far.
+    *
+    * @param {string}   requestId - Request ID.
+    *
+    * @returns {boolean} Whether a pending request was cancelled.
+    */
+   cancel(requestId)
+   {
+      const pending = this.#pending.get(requestId);
+
+      if (!pending) { return false; }
+
+      this.#settle(pending, null);
+
+      return true;
+   }
+
+   /**
+    * Marks a user as disconnected for all pending requests made by this client. This is invoked automatically from
+    * the `userConnected` hook when listening.
+    *
+    * @param {string}   userId - Disconnected user ID.
+    */
+   handleDisconnect(userId)
+   {
+      for (const pending of this.#pending.values())
+      {
+         if (pending.waiting.delete(userId))
+         {
+            pending.disconnected.push(userId);
+            this.#evaluate(pending);
+         }
+      }
+   }
+
+   /**
+    * Starts handling socket messages and user disconnections.
+    */
+   listen()
+   {
+      if (this.#handler) { return; }
+
+      this.#handler = (message) => this.#onMessage(message);
+      this.#socket.on(this.#channel, this.#handler);
+
+      if (globalThis.Hooks)
+      {
+         this.#hookId = Hooks.on('userConnected', (user, connected) =>
+         {
+            if (!connected) { this.handleDisconnect(user.id); }
+         });
+      }
+   }
+
+   /**
+    * Shows a dialog on the clients of the given users and aggregates their responses. Invalid options or an already
+    * aborted signal throw when the request is made; aborting the signal while the request is pending rejects the
+    * result Promise.
+    *
+    * @param {import('./internal/state-dialog/types').TJSSocketDialogRequestOptions}  options - Request options.
+    *
+    * @returns {import('./internal/state-dialog/types').TJSSocketDialogRequest} Request ID and a Promise for the
+    *          aggregated result.
+    */
+   request({ factory = 'wait', data = {}, mode = 'all', users, signal } = {})
+   {
+      if (!this.#handler) { throw new Error(`TJSSocketDialog.request error: 'listen' has not been invoked.`); }
+
+      if (!TJSSocketDialog.#factories.has(factory))
+      {
+         throw new TypeError(`TJSSocketDialog.request error: 'factory' is not a supported TJSDialog factory.`);
+      }
+
+      if (!isObject(data)) { throw new TypeError(`TJSSocketDialog.request error: 'data' is not an object.`); }
+
+      if (mode !== 'all' && mode !== 'first' && mode !== 'majority')
+      {
+         throw new TypeError(`TJSSocketDialog.request error: 'mode' is not 'all', 'first' or 'majority'.`);
+      }
+
+      if (users === void 0) { users = TJSSocketDialog.#activeUsers(); }
+
+      if (!Array.isArray(users) || users.some((id) => typeof id !== 'string'))
+      {
+         throw new TypeError(`TJSSocketDialog.request error: 'users' is not an array of user IDs.`);
+      }
+
+      if (signal?.aborted) { throw TJSSocketDialog.#abortReason(signal); }
+
+      const requestId = Hashing.uuidv4();
+
+      const managedPromise = new ManagedPromise();
+      const promise = managedPromise.create();
+
+      const pending = {
+         requestId,
+         mode,
+         users: [...new Set(users)],
+         waiting: new Set(),
+         responses: {},
+         disconnected: [],
+         managedPromise,
+         signal,
+         onAbort: void 0
+      };
+
+      for (const id of pending.users)
+      {
+         // Only wait on users that are connected; when `game.users` is not available all users are assumed connected.
+         if (id === this.#userId || (globalThis.game?.users?.get(id)?.active ?? true)) { pending.waiting.add(id); }
+         else { pending.disconnected.push(id); }
+      }
+
+      this.#pending.set(requestId, pending);
+
+      if (signal)
+      {
+         pending.onAbort = () => this.#settle(pending, null, TJSSocketDialog.#abortReason(signal));
+
+         signal.addEventListener('abort', pending.onAbort, { once: true });
+      }
+
+      const message = { type: 'request', requestId, from: this.#userId, users: pending.users, factory, data };
+
+      this.#socket.emit(this.#channel, message);
+
+      // The socket does not echo messages to the sender, so display the dialog locally when targeted.
+      if (pending.users.includes(this.#userId)) { this.#display(message); }
+
+      this.#evaluate(pending);
+
+      return { requestId, promise };
+   }
+
+   /**
+    * Stops handling socket messages and user disconnections. All pending requests are cancelled.
+    */
+   unlisten()
+   {
+      for (const requestId of [...this.#pending.keys()]) { this.cancel(requestId); }
+
+      for (const controller of this.#displayed.values()) { controller.abort(); }
+      this.#displayed.clear();
+
+      if (this.#handler)
+      {
+         this.#socket.off?.(this.#channel, this.#handler);
+         this.#handler = void 0;
+      }
+
+      if (this.#hookId !== void 0)
+      {
+         Hooks.off('userConnected', this.#hookId);
+         this.#hookId = void 0;
+      }
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @param {AbortSignal} signal - An aborted signal.
+    *
+    * @returns {*} The abort reason or a default `AbortError` DOMException.
+    */
+   static #abortReason(signal)
+   {
+      return signal.reason ?? new DOMException('TJSSocketDialog request aborted.', 'AbortError');
+   }
+
+   /**
+    * @returns {string[]} IDs of all active users.
+    */
+   static #activeUsers()
+   {
+      return globalThis.game?.users?.filter((user) => user.active).map((user) => user.id) ?? [];
+   }
+
+   /**
+    * Displays a requested dialog on this client and sends the response to the originator.
+    *
+    * @param {object}   message - Request message.
+    *
+    * @param {string}   message.requestId - Request ID.
+    *
+    * @param {string}   message.from - Originating user ID.
+    *
+    * @param {string}   message.factory - TJSDialog factory method name.
+    *
+    * @param {object}   message.data - Dialog data.
+    */
+   async #display({ requestId, from, factory, data })
+   {
+      if (!TJSSocketDialog.#factories.has(factory) || !isObject(data) || this.#displayed.has(requestId)) { return; }
+
+      const controller = new AbortController();
+      this.#displayed.set(requestId, controller);
+
+      let result;
+
+      try
+      {
+         result = await this.#dialogClass[factory]({ ...data, signal: controller.signal });
+      }
+      catch (err)
+      {
+         // A cancelled dialog does not respond.
+         if (controller.signal.aborted) { return; }
+
+         console.error(err);
+         result = null;
+      }
+      finally
+      {
+         this.#displayed.delete(requestId);
+      }
+
+      this.#respond(requestId, from, result);
+   }
+
+   /**
+    * Evaluates the responses of a pending request settling it when the aggregation mode is satisfied.
+    *
+    * @param {import('./internal/state-dialog/types').TJSSocketDialogPending} pending - Pending request.
+    */
+   #evaluate(pending)
+   {
+      const values = Object.values(pending.responses);
+
+      switch (pending.mode)
+      {
+         case 'first':
+         {
+            const first = values.find((value) => value !== null && value !== void 0);
+
+            if (first !== void 0)
+            {
+               this.#settle(pending, first);
+               return;
+            }
+            break;
+         }
+
+         case 'majority':
+         {
+            const required = Math.floor(pending.users.length / 2) + 1;
+
+            const counts = new Map();
+
+            for (const value of values)
+            {
+               if (value === null || value === void 0) { continue; }
+
+               const key = JSON.stringify(value);
+               const count = (counts.get(key) ?? 0) + 1;
+
+               if (count >= required)
+               {
+                  this.#settle(pending, value);
+                  return;
+               }
+
+               counts.set(key, count);
+            }
+
+            // Settle early when the remaining users can not create a majority.
+            const best = Math.max(0, ...counts.values());
+
+            if (best + pending.waiting.size < required)
+            {
+               this.#settle(pending, null);
+               return;
+            }
+            break;
+         }
+      }
+
+      if (pending.waiting.size === 0) { this.#settle(pending, pending.mode === 'all' ? { ...pending.responses } : null); }
+   }
+
+   /**
+    * @param {object}   message - Socket message.
+    */
+   #onMessage(message)
+   {
+      if (!isObject(message) || typeof message.requestId !== 'string') { return; }
+
+      switch (message.type)
+      {
+         case 'cancel':
+            this.#displayed.get(message.requestId)?.abort();
+            break;
+
+         case 'request':
+            if (Array.isArray(message.users) && message.users.includes(this.#userId)) { this.#display(message); }
+            break;
+
+         case 'response':
+            if (message.to === this.#userId) { this.#onResponse(message.requestId, message.userId, message.result); }
+            break;
+      }
+   }
+
+   /**
+    * Records a response for a pending request made by this client.
+    *
+    * @param {string}   requestId - Request ID.
+    *
+    * @param {string}   userId - Responding user ID.
+    *
+    * @param {*}        result - Dialog result.
+    */
+   #onResponse(requestId, userId, result)
+   {
+      const pending = this.#pending.get(requestId);
+
+      if (!pending || !pending.waiting.delete(userId)) { return; }
+
+      pending.responses[userId] = result ?? null;
+
+      this.#evaluate(pending);
+   }
+
+   /**
+    * Sends a dialog response to the originator.
+    *
+    * @param {string}   requestId - Request ID.
+    *
+    * @param {string}   to - Originating user ID.
+    *
+    * @param {*}        result - Dialog result.
+    */
+   #respond(requestId, to, result)
+   {
+      if (to === this.#userId)
+      {
+         this.#onResponse(requestId, this.#userId, result);
+         return;
+      }
+
+      this.#socket.emit(this.#channel, { type: 'response', requestId, to, userId: this.#userId, result });
+   }
+
+   /**
+    * Resolves a pending request and closes any remaining dialogs.
+    *
+    * @param {import('./internal/state-dialog/types').TJSSocketDialogPending} pending - Pending request.
+    *
+    * @param {*}  result - Aggregated result.
+    *
+    * @param {*}  [reason] - When defined the request is rejected with this reason.
+    */
+   #settle(pending, result, reason)
+   {
+      if (!this.#pending.delete(pending.requestId)) { return; }
+
+      if (pending.onAbort) { pending.signal.removeEventListener('abort', pending.onAbort); }
+
+      if (pending.waiting.size)
+      {
+         this.#socket.emit(this.#channel, { type: 'cancel', requestId: pending.requestId });
+         this.#displayed.get(pending.requestId)?.abort();
+      }
+
+      if (reason !== void 0)
+      {
+         pending.managedPromise.reject(reason);
+         return;
+      }
+
+      pending.managedPromise.resolve({
+         requestId: pending.requestId,
+         mode: pending.mode,
+         result,
+         responses: { ...pending.responses },
+         pending: [...pending.waiting],
+         disconnected: [...pending.disconnected]
+      });
+   }
+}
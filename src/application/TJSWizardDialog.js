@@ -0,0 +1,451 @@
+import {
+   get,
+   writable }                 from '#svelte/store';
+
+import { localize }           from '#svelte-fvtt/helper';
+
+import { TJSSvelteUtil }      from '#runtime/svelte/util';
+
+import {
+   deepMerge,
+   isObject }                 from '#runtime/util/object';
+
+import { TJSDialog }          from './TJSDialog.js';
+
+/**
+ * Provides a multi-step wizard dialog built on {@link TJSDialog}. An ordered list of steps is displayed one at a time
+ * with `back`, `next` and `finish` buttons in the dialog button bar.
+ *
+ * Each step defines its own content which may be an HTML string, a Svelte component or Svelte configuration object.
+ * Step components receive the shared step data as the `values` prop which is a writable Svelte store. The shared step
+ * data is also available from {@link TJSWizardDialog.values}. Steps may define a `validate` callback that is invoked
+ * before moving to the next step or finishing and a `condition` callback to skip a step based on the shared step data.
+ *
+ * Awaiting {@link TJSWizardDialog.wait} resolves with the shared step data when finished or any result from the
+ * optional `onFinish` callback. `null` is returned if the dialog is closed before finishing.
+ *
+ * @example
+ * const result = await TJSWizardDialog.wait({
+ *    title: 'Create Character',
+ *    initialValues: { name: '' },
+ *    steps: [
+ *       {
+ *          id: 'name',
+ *          content: NameStep,
+ *          validate: ({ values }) => values.name.length > 0 || 'A name is required.'
+ *       },
+ *       { id: 'class', content: ClassStep },
+ *       { id: 'review', content: ReviewStep }
+ *    ]
+ * });
+ *
+ * // Logs all collected values or null if the dialog was closed.
+ * console.log(result);
+ */
+export class TJSWizardDialog extends TJSDialog
+{
+   /**
+    * Stores the base button data merged with any `buttons` dialog option.
+    *
+    * @type {Record<string, import('./internal/state-dialog/types').TJSDialogButtonData>}
+    */
+   #buttons;
+
+   /**
+    * Prevents navigation while an asynchronous validation is in progress.
+    *
+    * @type {boolean}
+    */
+   #busy = false;
+
+   /**
+    * The current step index.
+    *
+    * @type {number}
+    */
+   #index = -1;
+
+   /**
+    * Optional finish callback.
+    *
+    * @type {string | ((data: { application: TJSWizardDialog, values: object }) => any) | undefined}
+    */
+   #onFinish;
+
+   /**
+    * @type {import('./internal/state-dialog/types').TJSWizardStep[]}
+    */
+   #steps;
+
+   /**
+    * Base dialog title.
+    *
+    * @type {string | undefined}
+    */
+   #title;
+
+   /**
+    * Shared step data.
+    *
+    * @type {import('svelte/store').Writable<object>}
+    */
+   #values;
+
+   /**
+    * @param {import('./internal/state-dialog/types').TJSWizardDialogOptions}   data - Wizard dialog options.
+    *
+    * @param {import('./').SvelteApplicationOptions}   [options] - SvelteApplication options.
+    */
+   constructor({ steps, initialValues = {}, onFinish, buttons = {}, ...data } = {}, options = {})
+   {
+      if (!Array.isArray(steps) || steps.length === 0)
+      {
+         throw new TypeError(`TJSWizardDialog error: 'steps' is not a non-empty array.`);
+      }
+
+      if (!isObject(initialValues))
+      {
+         throw new TypeError(`TJSWizardDialog error: 'initialValues' is not an object.`);
+      }
+
+      super({ ...data, autoClose: false }, options);
+
+      this.#title = data.title;
+      this.#onFinish = onFinish;
+      this.#values = writable({ ...initialValues });
+
+      this.#steps = steps.map((step, index) =>
+      {
+         if (!isObject(step)) { throw new TypeError(`TJSWizardDialog error: 'steps[${index}]' is not an object.`); }
+
+         return { ...step, id: typeof step.id === 'string' ? step.id : `step-${index}` };
+      });
+
+      // Allow overwriting of default icons and labels.
+      this.#buttons = deepMerge({
+         back: {
+            icon: 'fas fa-chevron-left',
+            label: 'Back'
+         },
+         next: {
+            icon: 'fas fa-chevron-right',
+            label: 'Next'
+         },
+         finish: {
+            icon: 'fas fa-check',
+            label: 'Finish'
+         }
+      }, buttons);
+
+      this.#goto(this.#findStep(0, 1));
+   }
+
+   /**
+    * @returns {number} The current step index.
+    */
+   get index() { return this.#index; }
+
+   /**
+    * @returns {import('./internal/state-dialog/types').TJSWizardStep} The current step.
+    */
+   get step() { return this.#steps[this.#index]; }
+
+   /**
+    * @returns {string[]} The IDs of all steps.
+    */
+   get stepIds() { return this.#steps.map((step) => step.id); }
+
+   /**
+    * @returns {import('svelte/store').Writable<object>} The shared step data store.
+    */
+   get values() { return this.#values; }
+
+   /**
+    * Moves to the previous step that is not skipped by its `condition`. Validation is not performed.
+    *
+    * @returns {boolean} Whether the step changed.
+    */
+   back()
+   {
+      if (this.#busy) { return false; }
+
+      const index = this.#findStep(this.#index - 1, -1);
+
+      if (index < 0) { return false; }
+
+      this.#goto(index);
+
+      return true;
+   }
+
+   /**
+    * Validates the current step and if valid resolves any managed Promise with the shared step data or the result of
+    * `onFinish` and closes the dialog. Errors thrown by `onFinish` are displayed in the dialog which remains open
+    * unless the `notifyError` dialog option is false; then any managed Promise is rejected.
+    *
+    * @returns {Promise<boolean>} Whether the wizard finished.
+    */
+   async finish()
+   {
+      if (!await this.#validate()) { return false; }
+
+      try
+      {
+         const values = get(this.#values);
+
+         let result = values;
+
+         if (this.#onFinish !== void 0)
+         {
+            result = await this.#invoke(this.#onFinish, { application: this, values });
+         }
+
+         this.managedPromise.resolve(result);
+      }
+      catch (err)
+      {
+         // Keep the dialog open when the error is displayed, so that finishing may be retried.
+         if (this.#notifyError(err)) { return false; }
+
+         // If there is a managed Promise reject it or re-throw error.
+         if (!this.managedPromise.reject(err)) { throw err; }
+      }
+
+      await this.close();
+
+      return true;
+   }
+
+   /**
+    * Moves to the step with the given ID or index without validation.
+    *
+    * @param {string | number}   step - Step ID or index.
+    *
+    * @returns {boolean} Whether the step changed.
+    */
+   goto(step)
+   {
+      if (this.#busy) { return false; }
+
+      const index = typeof step === 'string' ? this.#steps.findIndex((entry) => entry.id === step) : step;
+
+      if (!Number.isInteger(index) || index < 0 || index >= this.#steps.length || index === this.#index)
+      {
+         return false;
+      }
+
+      this.#goto(index);
+
+      return true;
+   }
+
+   /**
+    * Validates the current step and if valid moves to the next step that is not skipped by its `condition`.
+    *
+    * @returns {Promise<boolean>} Whether the step changed.
+    */
+   async next()
+   {
+      const index = this.#findStep(this.#index + 1, 1);
+
+      if (index < 0) { return false; }
+
+      if (!await this.#validate()) { return false; }
+
+      this.#goto(index);
+
+      return true;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Finds the first step from `start` in the given direction that is not skipped by its `condition`.
+    *
+    * @param {number}   start - Start index.
+    *
+    * @param {number}   direction - Search direction; `1` or `-1`.
+    *
+    * @returns {number} Step index or `-1` if none found.
+    */
+   #findStep(start, direction)
+   {
+      const values = get(this.#values);
+
+      for (let index = start; index >= 0 && index < this.#steps.length; index += direction)
+      {
+         const condition = this.#steps[index].condition;
+
+         if (typeof condition !== 'function' || condition({ application: this, values })) { return index; }
+      }
+
+      return -1;
+   }
+
+   /**
+    * Displays the step at the given index updating the dialog content, title and buttons.
+    *
+    * @param {number}   index - Step index.
+    */
+   #goto(index)
+   {
+      this.#index = index;
+
+      const step = this.#steps[index];
+
+      const hasBack = this.#findStep(index - 1, -1) >= 0;
+      const hasNext = this.#findStep(index + 1, 1) >= 0;
+
+      const buttons = {};
+
+      if (hasBack) { buttons.back = this.#getButton('back', () => this.back()); }
+
+      if (hasNext) { buttons.next = this.#getButton('next', () => this.next()); }
+      else { buttons.finish = this.#getButton('finish', () => this.finish()); }
+
+      this.data.set('buttons', buttons);
+      this.data.set('default', hasNext ? 'next' : 'finish');
+      this.data.set('title', typeof step.title === 'string' ? step.title : this.#title);
+      this.data.set('content', this.#getContent(step.content));
+   }
+
+   /**
+    * Converts step content into dialog content adding the shared step data store as the `values` prop of Svelte
+    * components.
+    *
+    * @param {string | object}   content - Step content.
+    *
+    * @returns {string | object} Dialog content.
+    */
+   #getContent(content)
+   {
+      const values = this.#values;
+
+      if (TJSSvelteUtil.isComponent(content)) { return { class: content, props: { values } }; }
+
+      if (isObject(content) && TJSSvelteUtil.isComponent(content.class))
+      {
+         const props = content.props;
+
+         return {
+            ...content,
+
+            /**
+             * `this` is the TJSWizardDialog instance when invoked.
+             *
+             * @this TJSWizardDialog
+             *
+             * @returns {object} Props
+             */
+            props: function()
+            {
+               return { ...(typeof props === 'function' ? props.call(this) : props), values };
+            }
+         };
+      }
+
+      return content;
+   }
+
+   /**
+    * Returns the data of a step button with a localized label.
+    *
+    * @param {string}   id - Button ID.
+    *
+    * @param {() => void}  onPress - Button callback.
+    *
+    * @returns {import('./internal/state-dialog/types').TJSDialogButtonData} Button data.
+    */
+   #getButton(id, onPress)
+   {
+      const button = this.#buttons[id];
+
+      return {
+         ...button,
+         label: typeof button.label === 'string' ? localize(button.label) : button.label,
+         autoClose: false,
+         onPress
+      };
+   }
+
+   /**
+    * Invokes a callback function directly or looks up an exported function by name from the current step component.
+    *
+    * @param {string | Function} callback - Callback function or exported function name.
+    *
+    * @param {object}   data - Data passed to callback.
+    *
+    * @returns {*} Callback result.
+    */
+   #invoke(callback, data)
+   {
+      if (typeof callback === 'function') { return callback(data); }
+
+      if (typeof callback === 'string')
+      {
+         const dialogComponent = this.svelte?.dialogComponent;
+
+         if (typeof dialogComponent?.[callback] === 'function') { return dialogComponent[callback](data); }
+
+         console.warn(`[TRL] TJSWizardDialog warning: The step Svelte component does not contain an associated ` +
+          `function '${callback}'. Did you remember to add '<svelte:options accessors={true} />' and export the ` +
+           `function?`);
+      }
+
+      return true;
+   }
+
+   /**
+    * Displays an error notification in the dialog unless `notifyError` dialog option is false.
+    *
+    * @param {Error | string} err - Error.
+    *
+    * @returns {boolean} Whether the error was displayed.
+    */
+   #notifyError(err)
+   {
+      const notifyError = typeof this.data.notifyError === 'boolean' ? this.data.notifyError : true;
+      if (notifyError) { this.notifications.error(err instanceof Error ? err.message : String(err)); }
+
+      return notifyError;
+   }
+
+   /**
+    * Runs the current step `validate` callback. A result of `false` or a string message prevents navigation; any
+    * string message is displayed as a warning notification.
+    *
+    * @returns {Promise<boolean>} Whether the current step is valid.
+    */
+   async #validate()
+   {
+      if (this.#busy) { return false; }
+
+      const step = this.#steps[this.#index];
+
+      if (step?.validate === void 0) { return true; }
+
+      this.#busy = true;
+
+      try
+      {
+         const result = await this.#invoke(step.validate, { application: this, step, values: get(this.#values) });
+
+         if (typeof result === 'string')
+         {
+            this.notifications.warn(result);
+            return false;
+         }
+
+         return result !== false;
+      }
+      catch (err)
+      {
+         this.#notifyError(err);
+         return false;
+      }
+      finally
+      {
+         this.#busy = false;
+      }
+   }
+}
@@ -0,0 +1,500 @@
+import { TJSPosition }        from '#runtime/svelte/store/position';
+
+import {
+   TJSLocalStorage,
+   TJSWebStorage }         from '#runtime/svelte/store/web-storage';
+
+import {
+   isIterable,
+   isObject }              from '#runtime/util/object';
+
+import {
+   getViewportBounds,
+   TJSAppIndex,
+   WorkspaceLayouts }      from './internal/index.js';
+
+/**
+ * Provides a workspace manager that arranges all visible {@link SvelteApplication} instances tracked by
+ * {@link TJSAppIndex} into named layouts and saves / recalls whole-workspace layouts.
+ *
+ * The built-in layouts are `cascade`, `columns` and `grid`. Additional layout functions may be registered with
+ * {@link TJSWorkspace.registerLayout}. Transitions are animated with `TJSPosition.Animate` or with `GsapCompose` when
+ * passed as the `composer` option.
+ *
+ * Saved layouts include which apps are open. When recalling a saved layout apps that are not open are created from
+ * the factory functions registered with {@link TJSWorkspace.registerApp} and registered apps that are not part of the
+ * saved layout are closed. Apps should define a static `id` in app options to be recalled reliably.
+ *
+ * @example
+ * const workspace = new TJSWorkspace({ key: 'my-module-workspace' });
+ *
+ * workspace.registerApp('my-journal-app', () => new MyJournalApp());
+ * workspace.registerApp('my-tracker-app', () => new MyTrackerApp());
+ *
+ * await workspace.arrange('grid');
+ *
+ * workspace.save('combat');
+ *
+ * // Later reopen and position all apps open when saved.
+ * await workspace.recall('combat');
+ */
+export class TJSWorkspace
+{
+   /**
+    * Saved layout data format version.
+    *
+    * @type {number}
+    */
+   static #VERSION = 1;
+
+   /**
+    * Registered app factory functions by app ID.
+    *
+    * @type {Map<string, import('./internal/state-workspace/types').WorkspaceAppFactory>}
+    */
+   #apps = new Map();
+
+   /**
+    * Storage key for saved layouts.
+    *
+    * @type {string}
+    */
+   #key;
+
+   /**
+    * Layout functions by name.
+    *
+    * @type {Map<string, import('./internal/state-workspace/types').WorkspaceLayoutFn>}
+    */
+   #layouts = new Map([
+      ['cascade', WorkspaceLayouts.cascade],
+      ['columns', WorkspaceLayouts.columns],
+      ['grid', WorkspaceLayouts.grid]
+   ]);
+
+   /**
+    * @type {import('#runtime/svelte/store/web-storage').TJSWebStorage}
+    */
+   #storage;
+
+   /**
+    * @param {object}   [options] - Options.
+    *
+    * @param {string}   [options.key='trl-workspace'] - Storage key for saved layouts.
+    *
+    * @param {import('#runtime/svelte/store/web-storage').TJSWebStorage}  [options.storage] - A TJSWebStorage
+    *        instance to store saved layouts; default: new TJSLocalStorage instance.
+    */
+   constructor({ key = 'trl-workspace', storage = new TJSLocalStorage() } = {})
+   {
+      if (typeof key !== 'string') { throw new TypeError(`TJSWorkspace error: 'key' is not a string.`); }
+
+      if (!(storage instanceof TJSWebStorage))
+      {
+         throw new TypeError(`TJSWorkspace error: 'storage' is not an instance of TJSWebStorage.`);
+      }
+
+      this.#key = key;
+      this.#storage = storage;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {import('#runtime/svelte/store/web-storage').TJSWebStorage} The backing TJSWebStorage instance.
+    */
+   get storage() { return this.#storage; }
+
+   /**
+    * Arranges apps with the given layout. A layout may be the name of a registered layout function, a custom layout
+    * function or the name of a saved layout which is recalled.
+    *
+    * @param {string | import('./internal/state-workspace/types').WorkspaceLayoutFn}   layout - Layout name or
+    *        function.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspaceArrangeOptions}   [options] - Arrange options.
+    *
+    * @returns {Promise<void>} A Promise resolved when any transition completes.
+    */
+   async arrange(layout, options = {})
+   {
+      if (!isObject(options)) { throw new TypeError(`TJSWorkspace.arrange error: 'options' is not an object.`); }
+
+      let layoutFn = layout;
+
+      if (typeof layout === 'string')
+      {
+         if (!this.#layouts.has(layout))
+         {
+            if (this.has(layout)) { return this.recall(layout, options); }
+
+            throw new Error(`TJSWorkspace.arrange error: No layout or saved layout found for '${layout}'.`);
+         }
+
+         layoutFn = this.#layouts.get(layout);
+      }
+
+      if (typeof layoutFn !== 'function')
+      {
+         throw new TypeError(`TJSWorkspace.arrange error: 'layout' is not a string or function.`);
+      }
+
+      const { apps, bounds = getViewportBounds(), gap = 8, offset = 30, ...rest } = options;
+
+      if (apps !== void 0 && !isIterable(apps))
+      {
+         throw new TypeError(`TJSWorkspace.arrange error: 'apps' is not iterable.`);
+      }
+
+      const arrangeApps = apps !== void 0 ? [...apps] :
+       [...TJSAppIndex.values()].filter((app) => !app.reactive.minimized);
+
+      if (arrangeApps.length === 0) { return; }
+
+      const positions = layoutFn(arrangeApps, bounds, { ...rest, gap, offset });
+
+      if (!Array.isArray(positions))
+      {
+         throw new TypeError(`TJSWorkspace.arrange error: layout function did not return an array.`);
+      }
+
+      await TJSWorkspace.#applyPositions(arrangeApps, positions, options);
+   }
+
+   /**
+    * Deletes a saved layout.
+    *
+    * @param {string}   name - Saved layout name.
+    *
+    * @returns {boolean} Whether a saved layout was deleted.
+    */
+   delete(name)
+   {
+      const layouts = this.#getSaved();
+
+      if (!(name in layouts)) { return false; }
+
+      delete layouts[name];
+
+      this.#storage.setItem(this.#key, layouts);
+
+      return true;
+   }
+
+   /**
+    * Returns a saved layout.
+    *
+    * @param {string}   name - Saved layout name.
+    *
+    * @returns {import('./internal/state-workspace/types').WorkspaceSavedLayout | undefined} Saved layout.
+    */
+   get(name)
+   {
+      return this.#getSaved()[name];
+   }
+
+   /**
+    * @param {string}   name - Saved layout name.
+    *
+    * @returns {boolean} Whether a saved layout exists.
+    */
+   has(name)
+   {
+      return this.get(name) !== void 0;
+   }
+
+   /**
+    * @returns {string[]} Names of all saved layouts.
+    */
+   keys()
+   {
+      return Object.keys(this.#getSaved());
+   }
+
+   /**
+    * @returns {string[]} Names of all registered layout functions.
+    */
+   layoutKeys()
+   {
+      return [...this.#layouts.keys()];
+   }
+
+   /**
+    * Recalls a saved layout. Registered apps that are not open are created and rendered and registered apps that are
+    * not part of the saved layout are closed. All apps part of the saved layout are positioned, minimized / maximized
+    * and restacked as saved.
+    *
+    * @param {string}   name - Saved layout name.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspaceArrangeOptions & { close?: boolean }}   [options] -
+    *        Recall options. Set `close` to false to keep registered apps open that are not part of the saved layout.
+    *
+    * @returns {Promise<void>} A Promise resolved when any transition completes.
+    */
+   async recall(name, options = {})
+   {
+      const saved = this.get(name);
+
+      if (!isObject(saved) || !Array.isArray(saved.apps))
+      {
+         throw new Error(`TJSWorkspace.recall error: No saved layout found for '${name}'.`);
+      }
+
+      if (saved.version !== TJSWorkspace.#VERSION)
+      {
+         console.warn(`TJSWorkspace.recall warning: Saved layout '${name}' version mismatch; skipping.`);
+         return;
+      }
+
+      const closeApps = options.close ?? true;
+
+      const savedIds = new Set(saved.apps.map((entry) => entry.id));
+
+      if (closeApps)
+      {
+         for (const app of [...TJSAppIndex.values()])
+         {
+            if (this.#apps.has(app.id) && !savedIds.has(app.id)) { app.close(); }
+         }
+      }
+
+      const apps = [];
+      const positions = [];
+      const minimize = [];
+
+      for (const entry of saved.apps)
+      {
+         let app = TJSAppIndex.get(entry.id);
+
+         // Open registered apps that are not currently open directly at the saved position.
+         if (!app)
+         {
+            const factory = this.#apps.get(entry.id);
+            if (!factory) { continue; }
+
+            try
+            {
+               app = await factory();
+
+               // Invoke `_render` directly to await the initial render before any minimizing.
+               await app._render(true, { ...entry.position, focus: false });
+
+               if (entry.minimized) { minimize.push(app); }
+            }
+            catch (err)
+            {
+               console.warn(`TJSWorkspace.recall warning: Failed to open app '${entry.id}'.`, err);
+            }
+
+            continue;
+         }
+
+         if (app.reactive.minimized && !entry.minimized) { await app.maximize({ animate: false }); }
+
+         if (!app.reactive.minimized)
+         {
+            apps.push(app);
+            positions.push(entry.position);
+         }
+
+         if (entry.minimized) { minimize.push(app); }
+      }
+
+      // Restore stacking order.
+      for (const entry of [...saved.apps].sort((a, b) => a.zIndex - b.zIndex))
+      {
+         TJSAppIndex.get(entry.id)?.bringToTop?.({ focus: false });
+      }
+
+      await TJSWorkspace.#applyPositions(apps, positions, options);
+
+      for (const app of minimize)
+      {
+         if (app?.rendered && !app.reactive.minimized) { app.minimize(); }
+      }
+   }
+
+   /**
+    * Registers a factory function to create an app when it is not open while recalling a saved layout.
+    *
+    * @param {string}   id - App ID.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspaceAppFactory}   factory - App factory function.
+    */
+   registerApp(id, factory)
+   {
+      if (typeof id !== 'string') { throw new TypeError(`TJSWorkspace.registerApp error: 'id' is not a string.`); }
+
+      if (typeof factory !== 'function')
+      {
+         throw new TypeError(`TJSWorkspace.registerApp error: 'factory' is not a function.`);
+      }
+
+      this.#apps.set(id, factory);
+   }
+
+   /**
+    * Registers a layout function by name. Registering a built-in layout name replaces it.
+    *
+    * @param {string}   name - Layout name.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspaceLayoutFn}   layout - Layout function.
+    */
+   registerLayout(name, layout)
+   {
+      if (typeof name !== 'string') { throw new TypeError(`TJSWorkspace.registerLayout error: 'name' is not a string.`); }
+
+      if (typeof layout !== 'function')
+      {
+         throw new TypeError(`TJSWorkspace.registerLayout error: 'layout' is not a function.`);
+      }
+
+      this.#layouts.set(name, layout);
+   }
+
+   /**
+    * Saves the current position, stacking and minimized state of all visible apps as a named layout.
+    *
+    * @param {string}   name - Saved layout name.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {Iterable<import('#svelte-fvtt/application').SvelteApplication>}   [options.apps] - Apps to save; default:
+    *        all visible apps from `TJSAppIndex`.
+    *
+    * @returns {import('./internal/state-workspace/types').WorkspaceSavedLayout} Saved layout.
+    */
+   save(name, { apps = TJSAppIndex.values() } = {})
+   {
+      if (typeof name !== 'string') { throw new TypeError(`TJSWorkspace.save error: 'name' is not a string.`); }
+
+      if (!isIterable(apps)) { throw new TypeError(`TJSWorkspace.save error: 'apps' is not iterable.`); }
+
+      const saved = { version: TJSWorkspace.#VERSION, apps: [] };
+
+      for (const app of apps)
+      {
+         const minimized = app.reactive.minimized;
+         const data = app.state.current();
+
+         // Use the position before minimizing, but the current left / top as minimized apps may be dragged.
+         const position = minimized && isObject(data.beforeMinimized) ?
+          { ...data.beforeMinimized, left: data.position.left, top: data.position.top } : data.position;
+
+         saved.apps.push({
+            id: app.id,
+            position: {
+               left: position.left,
+               top: position.top,
+               width: position.width,
+               height: position.height
+            },
+            zIndex: data.position.zIndex ?? 0,
+            minimized
+         });
+      }
+
+      const layouts = this.#getSaved();
+      layouts[name] = saved;
+
+      this.#storage.setItem(this.#key, layouts);
+
+      return saved;
+   }
+
+   /**
+    * Unregisters an app factory function.
+    *
+    * @param {string}   id - App ID.
+    *
+    * @returns {boolean} Whether an app factory was unregistered.
+    */
+   unregisterApp(id)
+   {
+      return this.#apps.delete(id);
+   }
+
+   /**
+    * Unregisters a layout function.
+    *
+    * @param {string}   name - Layout name.
+    *
+    * @returns {boolean} Whether a layout function was unregistered.
+    */
+   unregisterLayout(name)
+   {
+      return this.#layouts.delete(name);
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @returns {Record<string, import('./internal/state-workspace/types').WorkspaceSavedLayout>} All saved layouts.
+    */
+   #getSaved()
+   {
+      const layouts = this.#storage.getItem(this.#key);
+
+      return isObject(layouts) ? { ...layouts } : {};
+   }
+
+   /**
+    * Applies position data to apps optionally animating the transition.
+    *
+    * @param {import('#svelte-fvtt/application').SvelteApplication[]}   apps - Apps to position.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspacePosition[]}   positions - Position data for each app.
+    *
+    * @param {import('./internal/state-workspace/types').WorkspaceArrangeOptions}   options - Arrange options.
+    *
+    * @returns {Promise<void>} A Promise resolved when any transition completes.
+    */
+   static async #applyPositions(apps, positions, { animate = true, composer, duration = 0.4, ease })
+   {
+      if (!animate || duration <= 0)
+      {
+         for (let cntr = 0; cntr < apps.length; cntr++)
+         {
+            if (isObject(positions[cntr])) { apps[cntr].position.set(positions[cntr]); }
+         }
+
+         return;
+      }
+
+      if (composer !== void 0)
+      {
+         if (typeof composer?.to !== 'function')
+         {
+            throw new TypeError(`TJSWorkspace error: 'composer' does not have a 'to' function.`);
+         }
+
+         const promises = [];
+
+         for (let cntr = 0; cntr < apps.length; cntr++)
+         {
+            if (!isObject(positions[cntr])) { continue; }
+
+            promises.push(new Promise((resolve) =>
+            {
+               composer.to(apps[cntr].position, {
+                  ...positions[cntr],
+                  duration,
+                  ...(ease !== void 0 ? { ease } : {}),
+                  onComplete: resolve,
+                  onInterrupt: resolve
+               });
+            }));
+         }
+
+         await Promise.all(promises);
+
+         return;
+      }
+
+      await TJSPosition.Animate.to(apps, ({ index }) => positions[index], {
+         duration,
+         ...(ease !== void 0 ? { ease } : {}),
+         strategy: 'cancelAll'
+      }).finished;
+   }
+}
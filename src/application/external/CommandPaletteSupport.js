@@ -0,0 +1,195 @@
+import { get }                  from '#svelte/store';
+
+import { isObject }             from '#runtime/util/object';
+
+import {
+   HeaderButtonUtil,
+   TJSCommandRegistry }         from '#svelte-fvtt/component/internal';
+
+import { localize }             from '#svelte-fvtt/helper';
+
+import { TJSAppIndex }          from '../internal/index.js';
+
+/**
+ * Registers a {@link TJSCommandRegistry} provider that contributes commands for all open SvelteApplications: a focus /
+ * restore window entry, header buttons and any app `commands` that do not set `palette: false`. Header buttons linked
+ * to a listed command are listed once as the command. Toggle header buttons are listed with their current state and the
+ * items of dropdown header buttons are listed individually.
+ */
+export class CommandPaletteSupport
+{
+   static initialize()
+   {
+      TJSCommandRegistry.register('trl-applications', () => this.#getCommands());
+   }
+
+   /**
+    * Formats key chords for display.
+    *
+    * @param {{ key: string, modifiers?: string[] }[]} keys - Key chords.
+    *
+    * @returns {string | undefined} The first key chord formatted for display.
+    */
+   static #formatKeys(keys)
+   {
+      const chord = keys?.[0];
+
+      if (typeof chord?.key !== 'string') { return void 0; }
+
+      const key = chord.key.replace(/^(Key|Digit)/, '');
+      const modifiers = Array.isArray(chord.modifiers) ?
+       chord.modifiers.map((modifier) => modifier === 'Control' ? 'Ctrl' : modifier) : [];
+
+      return [...modifiers, key].join('+');
+   }
+
+   /**
+    * @returns {import('#svelte-fvtt/component/core').TJSPaletteCommand[]} Commands for all open apps.
+    */
+   static #getCommands()
+   {
+      const commands = [];
+
+      for (const app of TJSAppIndex.values())
+      {
+         const group = localize(app.title ?? app.id);
+         const minimized = app.reactive.minimized;
+
+         commands.push({
+            id: `${app.id}.focus`,
+            label: minimized ? 'Restore Window' : 'Focus Window',
+            group,
+            icon: 'fas fa-window-restore',
+            keywords: [group],
+            onExecute: async () =>
+            {
+               if (app.reactive.minimized) { await app.maximize(); }
+
+               app.bringToTop();
+            }
+         });
+
+         const keybindings = app.keybindings;
+
+         const buttons = get(app.reactive.storeUIState.headerButtons).filter((button) => isObject(button));
+
+         // Header buttons linked to listed app commands are listed once as the command.
+         const linked = new Set();
+
+         for (const [id, command] of keybindings.commands)
+         {
+            if (command.palette === false) { continue; }
+
+            let button;
+
+            if (typeof command.headerButton === 'string')
+            {
+               button = buttons.find((entry) => entry.class === command.headerButton);
+
+               // The command is not available when the header button is not displayed.
+               if (!button) { continue; }
+
+               linked.add(button);
+            }
+
+            const toggled = HeaderButtonUtil.isToggle(button) ? get(button.store) === true : false;
+
+            commands.push({
+               id: `${app.id}.command.${id}`,
+               label: localize(command.name ?? id),
+               group,
+               icon: button ? this.#getIcon(HeaderButtonUtil.getDisplay(button, toggled)) : void 0,
+               hint: this.#formatKeys(keybindings.getKeys(id)),
+               keywords: [id],
+               onExecute: () => keybindings.execute(id)
+            });
+         }
+
+         for (const button of buttons)
+         {
+            // The items of dropdown buttons are always listed individually.
+            if (HeaderButtonUtil.isDropdown(button))
+            {
+               this.#pushDropdownCommands(commands, app, group, button);
+               continue;
+            }
+
+            if (linked.has(button)) { continue; }
+
+            const toggle = HeaderButtonUtil.isToggle(button);
+
+            // Accept `onPress or `onclick` as the function to invoke. `onclick` is from Foundry defined buttons.
+            if (!toggle && typeof (button.onPress ?? button.onclick) !== 'function') { continue; }
+
+            const toggled = toggle && get(button.store) === true;
+            const display = HeaderButtonUtil.getDisplay(button, toggled);
+
+            const label = this.#getLabel(display);
+
+            if (typeof label !== 'string') { continue; }
+
+            commands.push({
+               id: `${app.id}.button.${button.class ?? label}`,
+               label: localize(label),
+               group,
+               icon: this.#getIcon(display),
+               hint: toggle ? localize(toggled ? 'On' : 'Off') : void 0,
+               onExecute: () => HeaderButtonUtil.press(button)
+            });
+         }
+      }
+
+      return commands;
+   }
+
+   /**
+    * @param {object}   data - Header button or menu item data.
+    *
+    * @returns {string | undefined} Icon class when not fully formed HTML.
+    */
+   static #getIcon(data)
+   {
+      return typeof data.icon === 'string' && !data.icon.trim().startsWith('<') ? data.icon : void 0;
+   }
+
+   /**
+    * @param {object}   button - Header button data.
+    *
+    * @returns {string | undefined} Button label falling back to the title.
+    */
+   static #getLabel(button)
+   {
+      return typeof button.label === 'string' && button.label.length ? button.label : button.title;
+   }
+
+   /**
+    * Adds a command for each item of a dropdown header button.
+    *
+    * @param {import('#svelte-fvtt/component/core').TJSPaletteCommand[]} commands - Commands.
+    *
+    * @param {import('../SvelteApplication.js').SvelteApplication} app - Application.
+    *
+    * @param {string}   group - Command group.
+    *
+    * @param {object}   button - Dropdown header button data.
+    */
+   static #pushDropdownCommands(commands, app, group, button)
+   {
+      const buttonLabel = this.#getLabel(button);
+
+      for (const item of HeaderButtonUtil.getItems(button))
+      {
+         if (item.separator || typeof item.onPress !== 'function') { continue; }
+
+         const label = localize(item.label);
+
+         commands.push({
+            id: `${app.id}.button.${button.class ?? buttonLabel}.${item.label}`,
+            label: typeof buttonLabel === 'string' ? `${localize(buttonLabel)}: ${label}` : label,
+            group,
+            icon: this.#getIcon(item),
+            onExecute: () => HeaderButtonUtil.pressItem(button, item)
+         });
+      }
+   }
+}
@@ -1,2 +1,3 @@
+export * from './CommandPaletteSupport.js';
 export * from './FoundryHMRSupport.js';
 export * from './PopoutSupport.js';
@@ -1,9 +1,19 @@
 import {
+   CommandPaletteSupport,
    FoundryHMRSupport,
-   PopoutSupport }   from './external/index.js';
+   PopoutSupport }         from './external/index.js';
 
 export * from './SvelteApplication.js';
 export * from './TJSDialog.js';
+export * from './TJSDialogQueue.js';
+export * from './TJSProgressDialog.js';
+export * from './TJSSocketDialog.js';
+export * from './TJSWizardDialog.js';
+export * from './TJSWorkspace.js';
+
+export {
+   ApplicationStateSettingStorage,
+   ApplicationStateWebStorage }  from './internal/index.js';
 
 // Handle `hotReload` Foundry hook when running the Vite dev server.
 if (import.meta.hot) { FoundryHMRSupport.initialize(); }
@@ -11,12 +21,19 @@ if (import.meta.hot) { FoundryHMRSupport.initialize(); }
 // Handle `PopOut!` module hooks to allow applications to popout to their own browser window.
 PopoutSupport.initialize();
 
+// Contribute commands of all open applications to the command palette.
+CommandPaletteSupport.initialize();
+
 // From: SvelteApplication.js ----------------------------------------------------------------------------------------
 
 /**
  * @typedef {object} SvelteApplicationOptions Options for SvelteApplication. Note: that this extends the Foundry
  * {@link ApplicationOptions}.
  *
+ * @property {Record<string, import('./internal/state-keybindings/types').ApplicationCommand | false>} [commands]
+ *           Keyboard commands by command ID scoped to the focused app; built-in `close` / `minimize` commands may be
+ *           configured or removed by setting `false`.
+ *
  * @property {boolean}  [defaultCloseAnimation=true] If false the default slide close animation is not run.
  *
  * @property {boolean}  [draggable=true] If true then application shells are draggable.
@@ -34,16 +51,30 @@ PopoutSupport.initialize();
  *
  * @property {boolean}  [headerButtonNoLabel=false] If true then header button labels are removed.
  *
+ * @property {boolean}  [headerButtonOverflow=true] If true then header buttons that do not fit in the header are moved
+ *           into an overflow menu by ascending `priority`.
+ *
+ * @property {boolean}  [headerButtonReorder=false] If true then header buttons can be reordered by dragging; the
+ *           order is persisted per application class.
+ *
  * @property {string}   [headerIcon] Sets a header icon given an image URL.
  *
  * @property {boolean}  [headerNoTitleMinimized=false] If true then header title is hidden when minimized.
  *
+ * @property {number}   [maxHeight] Assigned to position. Number specifying maximum window height.
+ *
+ * @property {number}   [maxWidth] Assigned to position. Number specifying maximum window width.
+ *
  * @property {number}   [minHeight=MIN_WINDOW_HEIGHT] Assigned to position. Number specifying minimum
  *           window height.
  *
  * @property {number}   [minWidth=MIN_WINDOW_WIDTH] Assigned to position. Number specifying minimum
  *           window width.
  *
+ * @property {boolean}  [persistPosition=false] When true the position, size, minimized state and z-index are saved
+ *           to `sessionStorage` by app ID on close and when dragging / resizing ends then reapplied on the next render.
+ *           Define a static `id` in app options for the state to be shared across app instances.
+ *
  * @property {boolean}  [positionable=true] If false then `position.set` does not take effect.
  *
  * @property {import('#runtime/svelte/store/position').System.Initial.InitialSystem}   [positionInitial] A helper for
@@ -54,9 +85,28 @@ PopoutSupport.initialize();
  * @property {import('#runtime/svelte/store/position').ValidatorAPI.Options}   [positionValidator] A validator
  *           function or data or list of validators.
  *
+ * @property {object}   [resizeOptions] Options for resizable application shells.
+ *
+ * @property {number | boolean}  [resizeOptions.aspectRatio] A width / height ratio to maintain while resizing or
+ *           `true` to maintain the ratio when resizing starts.
+ *
+ * @property {('n' | 'e' | 's' | 'w' | 'ne' | 'nw' | 'se' | 'sw')[]}   [resizeOptions.edges] The edges / corners that
+ *           can be dragged to resize; default: all edges and corners.
+ *
+ * @property {number}   [resizeOptions.grid] Snaps the width / height to multiples of this size.
+ *
+ * @property {number}   [resizeOptions.step=10] The keyboard resize step in pixels when no grid is defined.
+ *
  * @property {import('#runtime/svelte/store/web-storage').TJSWebStorage}   [sessionStorage] An instance of
  *           TJSWebStorage (session) to share across SvelteApplications.
  *
+ * @property {boolean | Partial<import('./internal/state-snap/types').WindowSnapOptions>}   [snap=false] Enables
+ *           snapping window edges to the viewport, Foundry sidebar, sibling windows and a grid while dragging /
+ *           resizing along with optional docking into tiled layouts. See {@link SvelteApplication.snap}.
+ *
+ * @property {import('./internal/state-app/types').ApplicationStateStorage}   [stateStorage] A storage backend to
+ *           persist application state saved by {@link ApplicationState.save} across reloads.
+ *
  * @property {import('#runtime/svelte/util').TJSSvelteConfig}   [svelte] A Svelte configuration object defining
  *           the main component.
  *
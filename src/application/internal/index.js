@@ -1,5 +1,9 @@
 export * from './state-app/index.js';
+export * from './state-keybindings/index.js';
 export * from './state-svelte/index.js';
 export * from './state-reactive/index.js';
+export * from './state-snap/index.js';
+export * from './state-tabs/index.js';
+export * from './state-workspace/index.js';
 export * from './util/index.js';
 export * from './TJSAppIndex.js';
@@ -5,9 +5,24 @@ import { isObject }  from '#runtime/util/object';
  * status.
  *
  * You can restore a saved state with animation; please see the options of {@link ApplicationState.restore}.
+ *
+ * By default, saved state is only kept in memory. A storage backend conforming to {@link ApplicationStateStorage} may
+ * be set via the `stateStorage` SvelteApplication option or {@link ApplicationState.storage} to persist saved state
+ * across reloads. Two backends are provided: {@link ApplicationStateWebStorage} for session / local storage via
+ * TJSWebStorage and {@link ApplicationStateSettingStorage} for a Foundry client / world game setting. Saved state is
+ * stored by the application ID, so make sure to define a static `id` in the app options when persisting state.
+ *
+ * Note: Saved state names that start with `#` are considered internal / transient and are never persisted.
  */
 export class ApplicationState
 {
+   /**
+    * The current version of the serialized storage format. Stored data with a different version is ignored.
+    *
+    * @type {number}
+    */
+   static #STORAGE_VERSION = 1;
+
    /** @type {object} */
    #application;
 
@@ -22,6 +37,20 @@ export class ApplicationState
    /** @type {Map<string, import('./types').ApplicationStateData>} */
    #dataSaved = new Map();
 
+   /**
+    * Any storage backend to persist saved application state.
+    *
+    * @type {import('./types').ApplicationStateStorage | undefined}
+    */
+   #storage;
+
+   /**
+    * Tracks whether saved state has been loaded from any storage backend.
+    *
+    * @type {boolean}
+    */
+   #storageLoaded = false;
+
    /**
     * @param {object}   application - The application.
     */
@@ -30,6 +59,32 @@ export class ApplicationState
       this.#application = application;
 
       Object.seal(this);
+
+      this.storage = application?.options?.stateStorage;
+   }
+
+   /**
+    * @returns {import('./types').ApplicationStateStorage | undefined} Any storage backend for saved state.
+    */
+   get storage() { return this.#storage; }
+
+   /**
+    * Sets the storage backend used to persist saved application state. Any previously persisted state is loaded lazily
+    * on the next access of saved state.
+    *
+    * @param {import('./types').ApplicationStateStorage | undefined}   storage - A storage backend or undefined to only
+    *        keep saved state in memory.
+    */
+   set storage(storage)
+   {
+      if (storage !== void 0 && (!isObject(storage) || typeof storage.get !== 'function' ||
+       typeof storage.set !== 'function'))
+      {
+         throw new TypeError(`ApplicationState error: 'storage' does not conform to the ApplicationStateStorage API.`);
+      }
+
+      this.#storage = storage;
+      this.#storageLoaded = false;
    }
 
    /**
@@ -38,6 +93,8 @@ export class ApplicationState
    clear()
    {
       this.#dataSaved.clear();
+      this.#storageLoaded = true;
+      this.#storageSave();
    }
 
    /**
@@ -73,6 +130,8 @@ export class ApplicationState
          throw new TypeError(`ApplicationState - get error: 'name' is not a string.`);
       }
 
+      this.#storageLoad();
+
       return this.#dataSaved.get(name);
    }
 
@@ -81,6 +140,8 @@ export class ApplicationState
     */
    keys()
    {
+      this.#storageLoad();
+
       return this.#dataSaved.keys();
    }
 
@@ -97,12 +158,68 @@ export class ApplicationState
    {
       if (typeof name !== 'string') { throw new TypeError(`ApplicationState - remove: 'name' is not a string.`); }
 
+      this.#storageLoad();
+
       const data = this.#dataSaved.get(name);
-      this.#dataSaved.delete(name);
+
+      if (this.#dataSaved.delete(name)) { this.#storageSave(name); }
 
       return data;
    }
 
+   /**
+    * Saves the current position, size, minimized state and z-index to the application `sessionStorage` when the
+    * `persistPosition` app option is enabled. This is invoked automatically by SvelteApplication on close and when
+    * dragging or resizing ends.
+    *
+    * @package
+    */
+   persistSave()
+   {
+      const application = this.#application;
+
+      if (!application?.options?.persistPosition || !application?.rendered) { return; }
+
+      const data = this.current();
+
+      application.reactive.sessionStorage.setItem(this.#getPersistKey(), {
+         position: data.position,
+         beforeMinimized: data.beforeMinimized,
+         ui: data.ui
+      });
+   }
+
+   /**
+    * Restores any position, size, minimized state and z-index saved by {@link ApplicationState.persistSave} when the
+    * `persistPosition` app option is enabled. The restored position is clamped to the current browser viewport. This is
+    * invoked automatically by SvelteApplication on initial render.
+    *
+    * @package
+    */
+   persistRestore()
+   {
+      const application = this.#application;
+
+      if (!application?.options?.persistPosition) { return; }
+
+      const data = application.reactive.sessionStorage.getItem(this.#getPersistKey());
+
+      if (!isObject(data?.position)) { return; }
+
+      const minimized = typeof data.ui?.minimized === 'boolean' ? data.ui.minimized : false;
+
+      // When minimized restore the before minimized size with the last position location as it is not possible to
+      // initially render apps in the minimized state.
+      const positionData = minimized && isObject(data.beforeMinimized) ? { ...data.beforeMinimized,
+       left: data.position.left, top: data.position.top } : { ...data.position };
+
+      ApplicationState.#clampViewport(positionData, application.reactive.activeWindow);
+
+      application.position.set(positionData);
+
+      if (minimized) { application.minimize({ animate: false }); }
+   }
+
    /**
     * Restores a previously saved application state by `name` returning the data. Several optional parameters are
     * available to animate / tween to the new state. When `animateTo` is true an animation is scheduled via
@@ -130,11 +247,17 @@ export class ApplicationState
          throw new TypeError(`ApplicationState - restore error: 'name' is not a string.`);
       }
 
+      this.#storageLoad();
+
       const dataSaved = this.#dataSaved.get(name);
 
       if (dataSaved)
       {
-         if (remove) { this.#dataSaved.delete(name); }
+         if (remove)
+         {
+            this.#dataSaved.delete(name);
+            this.#storageSave(name);
+         }
 
          // Multiple invocations for animated restores are skipped when one is already in progress.
          if (animateTo && name !== this.#currentRestoreKey)
@@ -171,10 +294,14 @@ export class ApplicationState
    {
       if (typeof name !== 'string') { throw new TypeError(`ApplicationState - save error: 'name' is not a string.`); }
 
+      this.#storageLoad();
+
       const data = this.current(extra);
 
       this.#dataSaved.set(name, data);
 
+      this.#storageSave(name);
+
       return data;
    }
 
@@ -204,6 +331,116 @@ export class ApplicationState
 
    // Internal implementation ----------------------------------------------------------------------------------------
 
+   /**
+    * Clamps numeric position data in place to fit inside the viewport of the given window.
+    *
+    * @param {object}   data - Position data.
+    *
+    * @param {Window}   activeWindow - The window to clamp to.
+    */
+   static #clampViewport(data, activeWindow)
+   {
+      const viewportWidth = activeWindow.innerWidth;
+      const viewportHeight = activeWindow.innerHeight;
+
+      if (Number.isFinite(data.width)) { data.width = Math.min(data.width, viewportWidth); }
+      if (Number.isFinite(data.height)) { data.height = Math.min(data.height, viewportHeight); }
+
+      const width = Number.isFinite(data.width) ? data.width : 0;
+      const height = Number.isFinite(data.height) ? data.height : 0;
+
+      if (Number.isFinite(data.left)) { data.left = Math.max(0, Math.min(data.left, viewportWidth - width)); }
+      if (Number.isFinite(data.top)) { data.top = Math.max(0, Math.min(data.top, viewportHeight - height)); }
+   }
+
+   /**
+    * @returns {string} The `sessionStorage` key used by `persistPosition`.
+    */
+   #getPersistKey()
+   {
+      return `trl-app-position-${this.#application?.id}`;
+   }
+
+   /**
+    * @returns {string} The key used to store this application state in any storage backend.
+    */
+   #getStorageKey()
+   {
+      return this.#application?.id;
+   }
+
+   /**
+    * Loads any persisted application state from the storage backend once. Saved state already in memory takes
+    * precedence over persisted state.
+    */
+   #storageLoad()
+   {
+      if (this.#storageLoaded || !this.#storage) { return; }
+
+      this.#storageLoaded = true;
+
+      const key = this.#getStorageKey();
+      if (typeof key !== 'string') { return; }
+
+      let serialized;
+
+      try
+      {
+         serialized = this.#storage.get(key);
+      }
+      catch (err)
+      {
+         console.warn(`ApplicationState warning: Failed to load application state for '${key}'.`, err);
+         return;
+      }
+
+      if (!isObject(serialized)) { return; }
+
+      if (serialized.version !== ApplicationState.#STORAGE_VERSION)
+      {
+         console.warn(`ApplicationState warning: Ignoring stored application state for '${key}' with unsupported ` +
+          `version '${serialized.version}'.`);
+         return;
+      }
+
+      if (!isObject(serialized.data)) { return; }
+
+      for (const [name, data] of Object.entries(serialized.data))
+      {
+         if (!this.#dataSaved.has(name) && isObject(data)) { this.#dataSaved.set(name, data); }
+      }
+   }
+
+   /**
+    * Serializes all non-internal saved application state and sets it to the storage backend.
+    *
+    * @param {string}   [name] - The saved state name that changed; internal `#` prefixed names are skipped.
+    */
+   #storageSave(name)
+   {
+      if (!this.#storage || name?.startsWith('#')) { return; }
+
+      const key = this.#getStorageKey();
+      if (typeof key !== 'string') { return; }
+
+      /** @type {import('./types').ApplicationStateSerialized} */
+      const serialized = { version: ApplicationState.#STORAGE_VERSION, data: {} };
+
+      for (const [dataName, data] of this.#dataSaved)
+      {
+         if (!dataName.startsWith('#')) { serialized.data[dataName] = data; }
+      }
+
+      try
+      {
+         this.#storage.set(key, serialized);
+      }
+      catch (err)
+      {
+         console.warn(`ApplicationState warning: Failed to save application state for '${key}'.`, err);
+      }
+   }
+
    /**
     * Sets application state from the given {@link ApplicationStateData} instance. Several optional parameters are
     * available to animate / tween to the new state. When `animateTo` is true an animation is scheduled via
@@ -0,0 +1,148 @@
+import { isObject } from '#runtime/util/object';
+
+/**
+ * Provides an {@link ApplicationState} storage backend that persists serialized application state in a Foundry game
+ * setting. All application state is stored in a single hidden setting of type `Object` keyed by application state
+ * key. The setting is registered lazily on first access if it is not already registered.
+ *
+ * Client scoped settings are stored in browser local storage by Foundry and survive across sessions for the current
+ * user / browser. World scoped settings are stored in the world database; note that only a GM may update world
+ * settings, so failed updates by players are logged and otherwise ignored.
+ *
+ * Note: Foundry game settings are not available until the `init` hook and world settings are not loaded until the
+ * `setup` hook, so any state saved before then is only kept in memory.
+ *
+ * @implements {import('./types').ApplicationStateStorage}
+ */
+export class ApplicationStateSettingStorage
+{
+   /** @type {string} */
+   #key;
+
+   /** @type {string} */
+   #namespace;
+
+   /** @type {'client' | 'world'} */
+   #scope;
+
+   /**
+    * @param {object}   options - Options.
+    *
+    * @param {string}   options.namespace - The setting namespace; usually your package ID.
+    *
+    * @param {string}   [options.key='appState'] - The setting key.
+    *
+    * @param {'client' | 'world'}   [options.scope='client'] - The setting scope.
+    */
+   constructor({ namespace, key = 'appState', scope = 'client' } = {})
+   {
+      if (typeof namespace !== 'string')
+      {
+         throw new TypeError(`ApplicationStateSettingStorage error: 'namespace' is not a string.`);
+      }
+
+      if (typeof key !== 'string') { throw new TypeError(`ApplicationStateSettingStorage error: 'key' is not a string.`); }
+
+      if (scope !== 'client' && scope !== 'world')
+      {
+         throw new TypeError(`ApplicationStateSettingStorage error: 'scope' is not 'client' or 'world'.`);
+      }
+
+      this.#namespace = namespace;
+      this.#key = key;
+      this.#scope = scope;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {string} The setting key.
+    */
+   get key() { return this.#key; }
+
+   /**
+    * @returns {string} The setting namespace.
+    */
+   get namespace() { return this.#namespace; }
+
+   /**
+    * @returns {'client' | 'world'} The setting scope.
+    */
+   get scope() { return this.#scope; }
+
+   /**
+    * Retrieves serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @returns {import('./types').ApplicationStateSerialized | undefined} Serialized application state.
+    */
+   get(key)
+   {
+      const allData = this.#getSetting();
+
+      return isObject(allData?.[key]) ? allData[key] : void 0;
+   }
+
+   /**
+    * Stores serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @param {import('./types').ApplicationStateSerialized}   data - Serialized application state.
+    */
+   set(key, data)
+   {
+      if (!this.#register()) { return; }
+
+      const allData = { ...this.#getSetting() };
+      allData[key] = data;
+
+      globalThis.game.settings.set(this.#namespace, this.#key, allData).catch((err) =>
+      {
+         console.warn(`ApplicationStateSettingStorage warning: Failed to save application state for '${key}'.`, err);
+      });
+   }
+
+   /**
+    * @returns {object | undefined} The current setting value.
+    */
+   #getSetting()
+   {
+      if (!this.#register()) { return void 0; }
+
+      try
+      {
+         const allData = globalThis.game.settings.get(this.#namespace, this.#key);
+         return isObject(allData) ? allData : void 0;
+      }
+      catch (err)
+      {
+         return void 0;
+      }
+   }
+
+   /**
+    * Registers the backing setting if it is not already registered.
+    *
+    * @returns {boolean} Whether game settings are available and the setting is registered.
+    */
+   #register()
+   {
+      const settings = globalThis.game?.settings;
+
+      if (!(settings?.settings instanceof Map)) { return false; }
+
+      if (!settings.settings.has(`${this.#namespace}.${this.#key}`))
+      {
+         settings.register(this.#namespace, this.#key, {
+            scope: this.#scope,
+            config: false,
+            type: Object,
+            default: {}
+         });
+      }
+
+      return true;
+   }
+}
@@ -0,0 +1,96 @@
+import {
+   TJSSessionStorage,
+   TJSWebStorage }   from '#runtime/svelte/store/web-storage';
+
+/**
+ * Provides an {@link ApplicationState} storage backend that persists serialized application state through a
+ * {@link TJSWebStorage} instance. By default, a new {@link TJSSessionStorage} instance is used, so saved state survives
+ * reloads of the current browser tab. Pass in a `TJSLocalStorage` instance to persist state across browser sessions or
+ * share the `sessionStorage` instance already used by your SvelteApplication.
+ *
+ * @example
+ * import { TJSLocalStorage } from '#runtime/svelte/store/web-storage';
+ * import { deepMerge }       from '#runtime/util/object';
+ *
+ * class MyApp extends SvelteApplication
+ * {
+ *    static get defaultOptions()
+ *    {
+ *       return deepMerge(super.defaultOptions, {
+ *          id: 'my-app',
+ *          stateStorage: new ApplicationStateWebStorage({ storage: new TJSLocalStorage() })
+ *       });
+ *    }
+ * }
+ *
+ * @implements {import('./types').ApplicationStateStorage}
+ */
+export class ApplicationStateWebStorage
+{
+   /**
+    * Prefix added to all storage keys.
+    *
+    * @type {string}
+    */
+   #prefix;
+
+   /**
+    * @type {import('#runtime/svelte/store/web-storage').TJSWebStorage}
+    */
+   #storage;
+
+   /**
+    * @param {object}   [options] - Options.
+    *
+    * @param {import('#runtime/svelte/store/web-storage').TJSWebStorage}  [options.storage] - A TJSWebStorage
+    *        instance; default: new TJSSessionStorage instance.
+    *
+    * @param {string}   [options.prefix='trl-app-state-'] - A prefix added to all storage keys.
+    */
+   constructor({ storage = new TJSSessionStorage(), prefix = 'trl-app-state-' } = {})
+   {
+      if (!(storage instanceof TJSWebStorage))
+      {
+         throw new TypeError(`ApplicationStateWebStorage error: 'storage' is not an instance of TJSWebStorage.`);
+      }
+
+      if (typeof prefix !== 'string')
+      {
+         throw new TypeError(`ApplicationStateWebStorage error: 'prefix' is not a string.`);
+      }
+
+      this.#prefix = prefix;
+      this.#storage = storage;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {import('#runtime/svelte/store/web-storage').TJSWebStorage} The backing TJSWebStorage instance.
+    */
+   get storage() { return this.#storage; }
+
+   /**
+    * Retrieves serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @returns {import('./types').ApplicationStateSerialized | undefined} Serialized application state.
+    */
+   get(key)
+   {
+      return this.#storage.getItem(`${this.#prefix}${key}`);
+   }
+
+   /**
+    * Stores serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @param {import('./types').ApplicationStateSerialized}   data - Serialized application state.
+    */
+   set(key, data)
+   {
+      this.#storage.setItem(`${this.#prefix}${key}`, data);
+   }
+}
@@ -1 +1,3 @@
 export * from './ApplicationState.js';
+export * from './ApplicationStateSettingStorage.js';
+export * from './ApplicationStateWebStorage.js';
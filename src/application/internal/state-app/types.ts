@@ -11,6 +11,20 @@ import type { SvelteReactiveData }  from '../state-reactive/types';
  * You can restore a saved state with animation; please see the options of {@link ApplicationState.restore}.
  */
 declare interface ApplicationState {
+   /**
+    * @returns {ApplicationStateStorage | undefined} Any storage backend for saved state.
+    */
+   get storage(): ApplicationStateStorage | undefined;
+
+   /**
+    * Sets the storage backend used to persist saved application state. Any previously persisted state is loaded lazily
+    * on the next access of saved state.
+    *
+    * @param {ApplicationStateStorage | undefined}   storage - A storage backend or undefined to only keep saved state
+    *        in memory.
+    */
+   set storage(storage: ApplicationStateStorage | undefined);
+
    /**
     * Clears all saved application state.
     */
@@ -152,4 +166,49 @@ type ApplicationStateData = {
    ui: { minimized: boolean };
 };
 
-export { ApplicationState, ApplicationStateData }
+/**
+ * Defines the versioned serialization format of all saved application state for a single application that is set to
+ * an {@link ApplicationStateStorage} backend.
+ */
+type ApplicationStateSerialized = {
+   /**
+    * The serialization format version.
+    */
+   version: number;
+
+   /**
+    * All saved application state indexed by saved name.
+    */
+   data: Record<string, ApplicationStateData>;
+};
+
+/**
+ * Defines a storage backend for {@link ApplicationState} that persists serialized application state. Both methods are
+ * synchronous, however a backend may complete writing data asynchronously.
+ */
+interface ApplicationStateStorage {
+   /**
+    * Retrieves serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @returns {ApplicationStateSerialized | undefined} Serialized application state.
+    */
+   get(key: string): ApplicationStateSerialized | undefined;
+
+   /**
+    * Stores serialized application state.
+    *
+    * @param {string}   key - Application state key.
+    *
+    * @param {ApplicationStateSerialized}   data - Serialized application state.
+    */
+   set(key: string, data: ApplicationStateSerialized): void;
+}
+
+export {
+   ApplicationState,
+   ApplicationStateData,
+   ApplicationStateSerialized,
+   ApplicationStateStorage
+}
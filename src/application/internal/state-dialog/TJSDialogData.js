@@ -329,6 +329,25 @@ export class TJSDialogData
       this.#updateComponent();
    }
 
+   /**
+    * @returns {number | import('./types').TJSDialogTimeoutOptions | undefined} The dialog timeout.
+    */
+   get timeout()
+   {
+      return this.#internal.timeout;
+   }
+
+   /**
+    * Set the dialog timeout. The countdown starts when the dialog is mounted; set a falsy value to stop it.
+    *
+    * @param {number | import('./types').TJSDialogTimeoutOptions | undefined} timeout - New dialog timeout.
+    */
+   set timeout(timeout)
+   {
+      this.#internal.timeout = timeout;
+      this.#updateComponent();
+   }
+
    /**
     * @returns {string} The dialog window title.
     */
@@ -0,0 +1,519 @@
+import { writable }  from '#svelte/store';
+
+import { localize }  from '#svelte-fvtt/helper';
+
+import { isObject }  from '#runtime/util/object';
+
+/**
+ * Provides form support for {@link TJSDialog.form} dialogs. Named `input`, `select` and `textarea` elements in the
+ * dialog content are collected into a typed value object and validated against a declarative schema. Validation runs
+ * on input / change events; inline error messages are displayed for fields that have been modified or after a submit
+ * attempt and the submit button is disabled while the form is invalid. Error messages are localized and formatted
+ * with the field `label` and rule values such as `{min}` or `{maxLength}`.
+ *
+ * The current errors and validity are available as Svelte stores from {@link TJSDialogForm.errors} and
+ * {@link TJSDialogForm.valid}, so content components may render errors themselves when `inlineErrors` is false.
+ */
+export class TJSDialogForm
+{
+   /**
+    * @type {import('../../TJSDialog').TJSDialog}
+    */
+   #application;
+
+   /**
+    * The dialog content element where form elements are queried.
+    *
+    * @type {HTMLElement | null}
+    */
+   #contentEl = null;
+
+   /**
+    * Current validation errors by field name.
+    *
+    * @type {Record<string, string>}
+    */
+   #errors = {};
+
+   /**
+    * @type {import('svelte/store').Writable<Record<string, string>>}
+    */
+   #errorsStore = writable({});
+
+   /**
+    * Event handler for input / change / focusout events.
+    *
+    * @type {(event: Event) => void}
+    */
+   #handler = (event) =>
+   {
+      const name = event.target?.name;
+      if (typeof name === 'string' && name.length) { this.#touched.add(name); }
+
+      this.validate();
+   };
+
+   /**
+    * When true inline error elements are displayed after invalid fields.
+    *
+    * @type {boolean}
+    */
+   #inlineErrors;
+
+   /**
+    * Optional submit callback.
+    *
+    * @type {((data: { application: import('../../TJSDialog').TJSDialog, values: object }) => any) | undefined}
+    */
+   #onSubmit;
+
+   /**
+    * @type {Record<string, import('./types').TJSDialogFormField>}
+    */
+   #schema;
+
+   /**
+    * The ID of the dialog button that submits the form.
+    *
+    * @type {string}
+    */
+   #submitButton;
+
+   /**
+    * Increments on each validation to ignore stale asynchronous validation results.
+    *
+    * @type {number}
+    */
+   #sequence = 0;
+
+   /**
+    * When true all errors are displayed.
+    *
+    * @type {boolean}
+    */
+   #submitted = false;
+
+   /**
+    * Names of fields that have been modified.
+    *
+    * @type {Set<string>}
+    */
+   #touched = new Set();
+
+   /**
+    * @type {boolean}
+    */
+   #valid = false;
+
+   /**
+    * @type {import('svelte/store').Writable<boolean>}
+    */
+   #validStore = writable(false);
+
+   /**
+    * @param {import('../../TJSDialog').TJSDialog} application - The host dialog.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {Record<string, import('./types').TJSDialogFormField>}  [options.schema] - Validation schema by field name.
+    *
+    * @param {boolean}  [options.inlineErrors=true] - When true inline error elements are displayed.
+    *
+    * @param {(data: { application: import('../../TJSDialog').TJSDialog, values: object }) => any}  [options.onSubmit] -
+    *        Invoked with valid form values; the result resolves any managed Promise.
+    *
+    * @param {string}   [options.submitButton='submit'] - The ID of the dialog button that submits the form; it is
+    *        disabled while the form is invalid.
+    */
+   constructor(application, { schema = {}, inlineErrors = true, onSubmit, submitButton = 'submit' } = {})
+   {
+      if (!isObject(schema)) { throw new TypeError(`TJSDialogForm error: 'schema' is not an object.`); }
+
+      if (onSubmit !== void 0 && typeof onSubmit !== 'function')
+      {
+         throw new TypeError(`TJSDialogForm error: 'onSubmit' is not a function.`);
+      }
+
+      this.#application = application;
+      this.#schema = schema;
+      this.#inlineErrors = inlineErrors;
+      this.#onSubmit = onSubmit;
+      this.#submitButton = submitButton;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {import('svelte/store').Readable<Record<string, string>>} Current validation errors by field name.
+    */
+   get errors() { return { subscribe: this.#errorsStore.subscribe }; }
+
+   /**
+    * @returns {import('svelte/store').Readable<boolean>} Current form validity.
+    */
+   get valid() { return { subscribe: this.#validStore.subscribe }; }
+
+   /**
+    * Attaches form handling to the dialog content element. Package private for internal use by `DialogContent`.
+    *
+    * @param {HTMLElement}   contentEl - Dialog content element.
+    *
+    * @package
+    * @internal
+    */
+   attach(contentEl)
+   {
+      if (this.#contentEl === contentEl) { return; }
+
+      this.detach();
+
+      this.#contentEl = contentEl;
+
+      contentEl.addEventListener('input', this.#handler);
+      contentEl.addEventListener('change', this.#handler);
+      contentEl.addEventListener('focusout', this.#handler);
+
+      // Validate on next tick after the content component has rendered any form elements.
+      setTimeout(() => this.validate(), 0);
+   }
+
+   /**
+    * Detaches form handling from the dialog content element. Package private for internal use by `DialogContent`.
+    *
+    * @package
+    * @internal
+    */
+   detach()
+   {
+      if (!this.#contentEl) { return; }
+
+      this.#contentEl.removeEventListener('input', this.#handler);
+      this.#contentEl.removeEventListener('change', this.#handler);
+      this.#contentEl.removeEventListener('focusout', this.#handler);
+
+      this.#contentEl = null;
+   }
+
+   /**
+    * Collects typed values from all named form elements in the dialog content. Number / range inputs are converted to
+    * numbers or `null` when empty, single checkboxes to booleans, multiple checkboxes sharing a name and multiple
+    * selects to arrays. The `type` of a schema field forces conversion.
+    *
+    * @returns {object} Form values.
+    */
+   getValues()
+   {
+      const values = {};
+
+      if (!this.#contentEl) { return values; }
+
+      const elements = this.#contentEl.querySelectorAll('input[name], select[name], textarea[name]');
+
+      const groups = new Map();
+
+      for (const el of elements)
+      {
+         if (el.disabled) { continue; }
+
+         if (!groups.has(el.name)) { groups.set(el.name, []); }
+         groups.get(el.name).push(el);
+      }
+
+      for (const [name, group] of groups)
+      {
+         values[name] = TJSDialogForm.#coerce(TJSDialogForm.#readValue(group), this.#schema[name]?.type);
+      }
+
+      // Include schema fields without elements, so validation of required fields is consistent.
+      for (const name of Object.keys(this.#schema))
+      {
+         if (!(name in values)) { values[name] = TJSDialogForm.#coerce(void 0, this.#schema[name]?.type); }
+      }
+
+      return values;
+   }
+
+   /**
+    * Validates all fields and if valid resolves any managed Promise with the form values or the result of `onSubmit`
+    * and closes the dialog. Otherwise, all errors are displayed.
+    *
+    * @returns {Promise<boolean>} Whether the form was submitted.
+    */
+   async submit()
+   {
+      this.#submitted = true;
+
+      const values = await this.validate();
+
+      if (values === null) { return false; }
+
+      const application = this.#application;
+
+      try
+      {
+         const result = this.#onSubmit !== void 0 ? await this.#onSubmit({ application, values }) : values;
+         application.managedPromise.resolve(result);
+      }
+      catch (err)
+      {
+         const notifyError = typeof application.data.notifyError === 'boolean' ? application.data.notifyError : true;
+         if (notifyError) { application.notifications.error(err instanceof Error ? err.message : String(err)); }
+
+         return false;
+      }
+
+      await application.close();
+
+      return true;
+   }
+
+   /**
+    * Validates all fields against the schema updating errors, inline error elements and submit button state.
+    *
+    * @returns {Promise<object | null>} Form values when valid otherwise null.
+    */
+   async validate()
+   {
+      const sequence = ++this.#sequence;
+
+      const values = this.getValues();
+      const errors = {};
+
+      for (const [name, field] of Object.entries(this.#schema))
+      {
+         if (!isObject(field)) { continue; }
+
+         const error = await TJSDialogForm.#validateField(field, values[name], values);
+         if (typeof error === 'string') { errors[name] = error; }
+      }
+
+      // A newer validation has started.
+      if (sequence !== this.#sequence) { return Object.keys(errors).length ? null : values; }
+
+      this.#errors = errors;
+      this.#errorsStore.set(errors);
+
+      const valid = Object.keys(errors).length === 0;
+
+      if (valid !== this.#valid)
+      {
+         this.#valid = valid;
+         this.#validStore.set(valid);
+      }
+
+      this.#updateSubmitButton(valid);
+
+      if (this.#inlineErrors) { this.#updateInlineErrors(); }
+
+      return valid ? values : null;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Disables the submit button when the form is invalid.
+    *
+    * @param {boolean}  valid - Form validity.
+    */
+   #updateSubmitButton(valid)
+   {
+      const data = this.#application.data;
+      const id = this.#submitButton;
+
+      if (!isObject(data.buttons?.[id])) { return; }
+
+      if (data.buttons[id].disabled !== !valid) { data.set(`buttons.${id}.disabled`, !valid); }
+   }
+
+   /**
+    * Adds / removes inline error elements after the last element of each field and updates `aria-invalid`.
+    */
+   #updateInlineErrors()
+   {
+      const contentEl = this.#contentEl;
+      if (!contentEl) { return; }
+
+      for (const el of contentEl.querySelectorAll('.tjs-dialog-form-error')) { el.remove(); }
+
+      for (const name of Object.keys(this.#schema))
+      {
+         const elements = contentEl.querySelectorAll(`[name="${CSS.escape(name)}"]`);
+         if (!elements.length) { continue; }
+
+         const error = this.#submitted || this.#touched.has(name) ? this.#errors[name] : void 0;
+
+         for (const el of elements)
+         {
+            if (error) { el.setAttribute('aria-invalid', 'true'); }
+            else { el.removeAttribute('aria-invalid'); }
+         }
+
+         if (error)
+         {
+            const errorEl = contentEl.ownerDocument.createElement('div');
+            errorEl.classList.add('tjs-dialog-form-error');
+            errorEl.setAttribute('role', 'alert');
+            errorEl.textContent = error;
+
+            elements[elements.length - 1].after(errorEl);
+         }
+      }
+   }
+
+   /**
+    * @param {*}  value - Value to convert.
+    *
+    * @param {'string' | 'number' | 'boolean'}  [type] - Forced type.
+    *
+    * @returns {*} Converted value.
+    */
+   static #coerce(value, type)
+   {
+      switch (type)
+      {
+         case 'boolean':
+            return Array.isArray(value) ? value.length > 0 : value === 'false' ? false : Boolean(value);
+
+         case 'number':
+         {
+            if (value === null || value === void 0 || value === '') { return null; }
+
+            const number = Number(value);
+            return Number.isNaN(number) ? null : number;
+         }
+
+         case 'string':
+            return value === null || value === void 0 ? '' : String(value);
+
+         default:
+            return value;
+      }
+   }
+
+   /**
+    * @param {HTMLElement[]}  group - All elements sharing a name.
+    *
+    * @returns {*} Value of the element group.
+    */
+   static #readValue(group)
+   {
+      const first = group[0];
+
+      if (first instanceof HTMLSelectElement && first.multiple)
+      {
+         return [...first.selectedOptions].map((option) => option.value);
+      }
+
+      if (first instanceof HTMLInputElement)
+      {
+         switch (first.type)
+         {
+            case 'checkbox':
+               return group.length > 1 ? group.filter((el) => el.checked).map((el) => el.value) : first.checked;
+
+            case 'radio':
+               return group.find((el) => el.checked)?.value ?? null;
+
+            case 'number':
+            case 'range':
+               return first.value === '' ? null : first.valueAsNumber;
+         }
+      }
+
+      return first.value;
+   }
+
+   /**
+    * Validates a single field.
+    *
+    * @param {import('./types').TJSDialogFormField} field - Field schema.
+    *
+    * @param {*}  value - Field value.
+    *
+    * @param {object}   values - All form values.
+    *
+    * @returns {Promise<string | undefined>} Error message.
+    */
+   static async #validateField(field, value, values)
+   {
+      const messages = isObject(field.messages) ? field.messages : {};
+
+      const format = {
+         label: localize(field.label ?? 'This field'),
+         min: field.min,
+         max: field.max,
+         minLength: field.minLength,
+         maxLength: field.maxLength
+      };
+
+      /**
+       * @param {string}   rule - Validation rule.
+       *
+       * @param {string}   message - Default message.
+       *
+       * @returns {string} Localized and formatted custom or default message.
+       */
+      const error = (rule, message) => localize(messages[rule] ?? message, format);
+
+      const empty = value === null || value === void 0 || value === '' || value === false ||
+       (Array.isArray(value) && value.length === 0);
+
+      if (empty)
+      {
+         return field.required ? error('required', '{label} is required.') : void 0;
+      }
+
+      if (typeof value === 'number')
+      {
+         if (typeof field.min === 'number' && value < field.min)
+         {
+            return error('min', '{label} must be at least {min}.');
+         }
+
+         if (typeof field.max === 'number' && value > field.max)
+         {
+            return error('max', '{label} must be at most {max}.');
+         }
+      }
+
+      if (typeof value === 'string' || Array.isArray(value))
+      {
+         if (typeof field.minLength === 'number' && value.length < field.minLength)
+         {
+            return error('minLength', '{label} must have at least {minLength} characters.');
+         }
+
+         if (typeof field.maxLength === 'number' && value.length > field.maxLength)
+         {
+            return error('maxLength', '{label} must have at most {maxLength} characters.');
+         }
+      }
+
+      if (typeof value === 'string' && field.pattern !== void 0)
+      {
+         const pattern = field.pattern instanceof RegExp ? field.pattern : new RegExp(field.pattern);
+
+         // Reset `lastIndex` for global / sticky patterns.
+         pattern.lastIndex = 0;
+
+         if (!pattern.test(value)) { return error('pattern', '{label} is not in the expected format.'); }
+      }
+
+      if (typeof field.validate === 'function')
+      {
+         try
+         {
+            const result = await field.validate(value, values);
+
+            if (typeof result === 'string') { return localize(result, format); }
+            if (result === false) { return error('validate', '{label} is invalid.'); }
+         }
+         catch (err)
+         {
+            return err?.message ?? error('validate', '{label} is invalid.');
+         }
+      }
+
+      return void 0;
+   }
+}
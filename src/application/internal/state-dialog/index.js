@@ -1 +1,2 @@
 export * from './TJSDialogData.js';
+export * from './TJSDialogForm.js';
@@ -4,6 +4,12 @@ import type { TransitionFunction }  from '#runtime/svelte/transition';
 
 import type { TJSDialog }           from '../../TJSDialog.js';
 
+import type { TJSProgressDialog }   from '../../TJSProgressDialog.js';
+
+import type { TJSWizardDialog }     from '../../TJSWizardDialog.js';
+
+import type { ManagedPromise }      from '#runtime/util/async';
+
 /**
  * Provides storage for all dialog options through individual accessors and `get`, `merge`, `replace` and `set` methods
  * that safely access and update data changed to the mounted DialogShell component reactively.
@@ -198,6 +204,18 @@ declare interface TJSDialogData
     */
    set resolveId(resolveId: boolean);
 
+   /**
+    * @returns {number | TJSDialogTimeoutOptions | undefined} The dialog timeout.
+    */
+   get timeout(): number | TJSDialogTimeoutOptions | undefined;
+
+   /**
+    * Set the dialog timeout. The countdown starts when the dialog is mounted; set a falsy value to stop it.
+    *
+    * @param {number | TJSDialogTimeoutOptions | undefined} timeout - New dialog timeout.
+    */
+   set timeout(timeout: number | TJSDialogTimeoutOptions | undefined);
+
    /**
     * @returns {string} The dialog window title.
     */
@@ -408,6 +426,18 @@ type TJSDialogOptions = {
     */
    resolveId?: boolean;
 
+   /**
+    * An AbortSignal that rejects the Promise with the abort reason and closes the dialog when aborted. Only used by
+    * the static factory methods such as {@link TJSDialog.wait}; pass `signal` to the member `wait` method otherwise.
+    */
+   signal?: AbortSignal;
+
+   /**
+    * Automatically resolves the dialog after the given number of seconds or timeout options. A countdown is displayed
+    * and paused while the pointer hovers over the dialog.
+    */
+   timeout?: number | TJSDialogTimeoutOptions;
+
    /**
     * The dialog window title.
     */
@@ -491,10 +521,443 @@ type TJSDialogModalOptions = {
    transition?: TJSDialogTransitionOptions;
 }
 
+/**
+ * Defines the validation schema for a single form field of {@link TJSDialog.form}.
+ */
+type TJSDialogFormField = {
+   /**
+    * Field label used in error messages; will be localized; default: `This field`.
+    */
+   label?: string;
+
+   /**
+    * Forces conversion of the collected value.
+    */
+   type?: 'string' | 'number' | 'boolean';
+
+   /**
+    * When true the field must not be empty / unchecked.
+    */
+   required?: boolean;
+
+   /**
+    * Minimum numeric value.
+    */
+   min?: number;
+
+   /**
+    * Maximum numeric value.
+    */
+   max?: number;
+
+   /**
+    * Minimum string length / number of selected values.
+    */
+   minLength?: number;
+
+   /**
+    * Maximum string length / number of selected values.
+    */
+   maxLength?: number;
+
+   /**
+    * A pattern string values must match.
+    */
+   pattern?: RegExp | string;
+
+   /**
+    * Custom validator; may be an async function. Return `false` or an error message string when invalid. Only
+    * invoked for non-empty values.
+    */
+   validate?: (value: any, values: object) => boolean | string | void | Promise<boolean | string | void>;
+
+   /**
+    * Custom error messages by rule that replace the default messages. Messages are localized and `{label}`, `{min}`,
+    * `{max}`, `{minLength}` and `{maxLength}` are replaced with the field values.
+    */
+   messages?: Partial<Record<'required' | 'min' | 'max' | 'minLength' | 'maxLength' | 'pattern' | 'validate', string>>;
+};
+
+/**
+ * Defines the timeout / countdown options for a dialog.
+ */
+type TJSDialogTimeoutOptions = {
+   /**
+    * Timeout duration in seconds.
+    */
+   duration: number;
+
+   /**
+    * A button ID that is pressed when the timeout elapses invoking its `onPress` callback.
+    */
+   button?: string;
+
+   /**
+    * The result resolved when the timeout elapses and no `button` is defined. When a function it is invoked with the
+    * dialog instance; default: `null`.
+    */
+   result?: any | ((data: { application: TJSDialog }) => any);
+
+   /**
+    * When true the countdown is paused while the pointer hovers over the dialog; default: `true`.
+    */
+   pauseOnHover?: boolean;
+
+   /**
+    * When true a countdown is displayed; default: `true`.
+    */
+   countdown?: boolean;
+
+   /**
+    * The countdown label; `{seconds}` is replaced with the remaining seconds; will be localized; default: `{seconds}s`.
+    */
+   label?: string;
+};
+
+/**
+ * Defines an entry of {@link TJSDialogQueue}.
+ */
+type TJSDialogQueueEntry = {
+   /**
+    * Displays the dialog returning a Promise for the result.
+    */
+   fn: () => Promise<any>;
+
+   /**
+    * Optional deduplication key.
+    */
+   key?: string;
+
+   /**
+    * Queue priority.
+    */
+   priority: number;
+
+   /**
+    * Manages the Promise returned to callers.
+    */
+   managedPromise: ManagedPromise;
+};
+
+/**
+ * Defines the options for adding a dialog to {@link TJSDialogQueue}.
+ */
+type TJSDialogQueueOptions = {
+   /**
+    * Deduplication key; when a dialog with the same key is queued or displayed the existing Promise is returned.
+    */
+   key?: string;
+
+   /**
+    * Queue priority; higher priorities are displayed first; default: `0`.
+    */
+   priority?: number;
+
+   /**
+    * The dialog class used by `confirm`, `prompt` and `wait`; default: `TJSDialog`.
+    */
+   dialogClass?: typeof TJSDialog;
+};
+
+/**
+ * Defines a single step of a {@link TJSWizardDialog}.
+ */
+type TJSWizardStep = {
+   /**
+    * Unique step ID; default: `step-<index>`.
+    */
+   id?: string;
+
+   /**
+    * When defined replaces the dialog title while the step is displayed; will be localized.
+    */
+   title?: string;
+
+   /**
+    * Step content; an HTML string, Svelte component or Svelte configuration object. Svelte components receive the
+    * shared step data store as the `values` prop.
+    */
+   content: string | TJSSvelteConfig | (new (...args: any[]) => any);
+
+   /**
+    * When defined and returns false the step is skipped.
+    */
+   condition?: (data: { application: TJSWizardDialog, values: object }) => boolean;
+
+   /**
+    * Validates the step before moving to the next step or finishing. Return `false` or an error message string to
+    * prevent navigation; may be an async function. When defined as a string any matching function by name exported
+    * from the step Svelte component is invoked.
+    */
+   validate?: string | ((data: { application: TJSWizardDialog, step: TJSWizardStep, values: object }) =>
+    boolean | string | Promise<boolean | string>);
+};
+
+/**
+ * Defines the wizard dialog configuration data. The `back`, `next` and `finish` button data in `buttons` may be used
+ * to change the default icons and labels.
+ */
+type TJSWizardDialogOptions = Omit<TJSDialogOptions, 'content'> & {
+   /**
+    * Ordered list of steps.
+    */
+   steps: TJSWizardStep[];
+
+   /**
+    * Initial shared step data.
+    */
+   initialValues?: object;
+
+   /**
+    * Invoked when finishing with the shared step data; the result resolves any managed Promise. When defined as a
+    * string any matching function by name exported from the last step Svelte component is invoked.
+    */
+   onFinish?: string | ((data: { application: TJSWizardDialog, values: object }) => any);
+};
+
+/**
+ * Defines progress data yielded by a {@link TJSProgressDialog} task or passed to `update`.
+ */
+type TJSProgressUpdate = {
+   /**
+    * Progress from `0` to `1`.
+    */
+   pct?: number;
+
+   /**
+    * Number of completed units; used with `total` when `pct` is not defined.
+    */
+   current?: number;
+
+   /**
+    * Total number of units.
+    */
+   total?: number;
+
+   /**
+    * Progress message; will be localized.
+    */
+   message?: string;
+};
+
+/**
+ * Defines the progress state displayed by a {@link TJSProgressDialog}; `pct` is undefined while indeterminate.
+ */
+type TJSProgressData = {
+   message?: string;
+   pct?: number;
+};
+
+/**
+ * Defines the task of a {@link TJSProgressDialog}; an async iterable / iterator or a function that may return a
+ * result, Promise or async iterable.
+ */
+type TJSProgressTask = AsyncIterable<number | TJSProgressUpdate> | AsyncIterator<number | TJSProgressUpdate> |
+ ((data: { application: TJSProgressDialog, signal: AbortSignal, update: (data: number | TJSProgressUpdate) => void }) =>
+  any);
+
+/**
+ * Defines the progress dialog configuration data. The dialog buttons are replaced by a cancel button.
+ */
+type TJSProgressDialogOptions = Omit<TJSDialogOptions, 'buttons' | 'content'> & {
+   /**
+    * The task to run.
+    */
+   task: TJSProgressTask;
+
+   /**
+    * Optional HTML content displayed above the progress bar.
+    */
+   content?: string;
+
+   /**
+    * Initial progress message; will be localized.
+    */
+   message?: string;
+
+   /**
+    * Initial progress from `0` to `1`; default: indeterminate.
+    */
+   pct?: number;
+
+   /**
+    * Cancel button label; default: `Cancel`.
+    */
+   cancelLabel?: string;
+
+   /**
+    * Cancel button icon; default: `fas fa-times`.
+    */
+   cancelIcon?: string;
+};
+
+/**
+ * Defines the response aggregation mode for {@link TJSSocketDialog.request}.
+ */
+type TJSSocketDialogMode = 'all' | 'first' | 'majority';
+
+/**
+ * Tracks a pending request made by {@link TJSSocketDialog.request}.
+ */
+type TJSSocketDialogPending = {
+   /**
+    * Request ID.
+    */
+   requestId: string;
+
+   /**
+    * Response aggregation mode.
+    */
+   mode: TJSSocketDialogMode;
+
+   /**
+    * All requested user IDs.
+    */
+   users: string[];
+
+   /**
+    * User IDs that have not responded yet.
+    */
+   waiting: Set<string>;
+
+   /**
+    * Responses by user ID.
+    */
+   responses: Record<string, any>;
+
+   /**
+    * User IDs that were or became disconnected before responding.
+    */
+   disconnected: string[];
+
+   /**
+    * Manages the Promise returned to the caller.
+    */
+   managedPromise: ManagedPromise;
+
+   /**
+    * Optional abort signal.
+    */
+   signal?: AbortSignal;
+
+   /**
+    * Abort signal listener.
+    */
+   onAbort?: () => void;
+};
+
+/**
+ * Defines the options for {@link TJSSocketDialog.request}.
+ */
+type TJSSocketDialogRequestOptions = {
+   /**
+    * The TJSDialog static factory method; `choose`, `confirm`, `filePick`, `input`, `prompt`, `select` or `wait`;
+    * default: `wait`.
+    */
+   factory?: 'choose' | 'confirm' | 'filePick' | 'input' | 'prompt' | 'select' | 'wait';
+
+   /**
+    * Serializable dialog data passed to the factory method on each client.
+    */
+   data?: object;
+
+   /**
+    * Response aggregation mode; default: `all`.
+    */
+   mode?: TJSSocketDialogMode;
+
+   /**
+    * User IDs to display the dialog for; default: all active users.
+    */
+   users?: string[];
+
+   /**
+    * Aborting rejects the request with the abort reason and closes all dialogs.
+    */
+   signal?: AbortSignal;
+};
+
+/**
+ * The handle returned by {@link TJSSocketDialog.request}.
+ */
+type TJSSocketDialogRequest = {
+   /**
+    * Request ID; pass to {@link TJSSocketDialog.cancel} to cancel the request while pending.
+    */
+   requestId: string;
+
+   /**
+    * Resolves with the aggregated result or rejects with the abort reason when the signal is aborted.
+    */
+   promise: Promise<TJSSocketDialogResult>;
+};
+
+/**
+ * The aggregated result of {@link TJSSocketDialog.request}.
+ */
+type TJSSocketDialogResult = {
+   /**
+    * Request ID.
+    */
+   requestId: string;
+
+   /**
+    * Response aggregation mode.
+    */
+   mode: TJSSocketDialogMode;
+
+   /**
+    * For `all` a record of responses by user ID; for `first` / `majority` the winning response or `null`.
+    */
+   result: any;
+
+   /**
+    * All received responses by user ID.
+    */
+   responses: Record<string, any>;
+
+   /**
+    * User IDs that had not responded when the request settled.
+    */
+   pending: string[];
+
+   /**
+    * User IDs that were or became disconnected before responding.
+    */
+   disconnected: string[];
+};
+
+/**
+ * Defines the socket interface used by {@link TJSSocketDialog}; implemented by `game.socket` or a mock socket.
+ */
+type TJSSocketDialogSocket = {
+   emit(channel: string, message: object): void;
+
+   on(channel: string, handler: (message: object) => void): void;
+
+   off?(channel: string, handler: (message: object) => void): void;
+};
+
 export {
    TJSDialogButtonData,
    TJSDialogData,
+   TJSDialogFormField,
    TJSDialogModalOptions,
    TJSDialogOptions,
-   TJSDialogTransitionOptions
+   TJSDialogQueueEntry,
+   TJSDialogQueueOptions,
+   TJSDialogTimeoutOptions,
+   TJSDialogTransitionOptions,
+   TJSProgressData,
+   TJSProgressDialogOptions,
+   TJSProgressTask,
+   TJSProgressUpdate,
+   TJSSocketDialogMode,
+   TJSSocketDialogPending,
+   TJSSocketDialogRequest,
+   TJSSocketDialogRequestOptions,
+   TJSSocketDialogResult,
+   TJSSocketDialogSocket,
+   TJSWizardDialogOptions,
+   TJSWizardStep
 }
@@ -0,0 +1,402 @@
+import { get }               from '#svelte/store';
+
+import { isObject }          from '#runtime/util/object';
+
+import { HeaderButtonUtil }  from '#svelte-fvtt/component/internal';
+
+/**
+ * Provides scoped keyboard commands for {@link SvelteApplication} instances and is retrievable by
+ * {@link SvelteApplication.keybindings}. Commands are declared by the `commands` app option and include built-in
+ * `close` / `minimize` commands, commands that press header buttons by `class` and custom app actions. Toggle header
+ * buttons are toggled and the items of dropdown header buttons are displayed in a context menu.
+ *
+ * Commands are scoped to the focused application. By default key chords are matched by a keydown listener on the
+ * application shell `elementRoot`. When an application class is registered with
+ * {@link SvelteApplication.registerKeybindings} during the `init` hook the commands are registered with Foundry
+ * `game.keybindings` and key chords may be changed by users in the core `Configure Controls` dialog which also
+ * displays any conflicts. Registered commands are dispatched to the active window when it is an instance of the
+ * registered class.
+ *
+ * A command defined as `false` is removed.
+ *
+ * @example
+ * class MyApp extends SvelteApplication
+ * {
+ *    static get defaultOptions()
+ *    {
+ *       return deepMerge(super.defaultOptions, {
+ *          id: 'my-app',
+ *          commands: {
+ *             close: { keys: [{ key: 'KeyW', modifiers: ['Alt'] }] },
+ *             configure: { headerButton: 'configure-sheet', keys: [{ key: 'KeyC', modifiers: ['Alt'] }] },
+ *             refresh: {
+ *                name: 'Refresh Data',
+ *                keys: [{ key: 'F5' }],
+ *                onPress: ({ application }) => application.refresh()
+ *             }
+ *          }
+ *       });
+ *    }
+ * }
+ *
+ * // Optionally register with Foundry keybindings for user rebinding.
+ * Hooks.once('init', () => MyApp.registerKeybindings('my-module'));
+ */
+export class ApplicationKeybindings
+{
+   /**
+    * Built-in commands available to all applications. No default key chords are assigned.
+    *
+    * @type {Readonly<Record<string, import('./types').ApplicationCommand>>}
+    */
+   static #builtin = Object.freeze({
+      close: Object.freeze({
+         name: 'Close Window',
+         onPress: ({ application }) => application.close()
+      }),
+      minimize: Object.freeze({
+         name: 'Minimize / Maximize Window',
+         onPress: ({ application }) => (application.reactive.minimized ? application.maximize() :
+          application.minimize())
+      })
+   });
+
+   /**
+    * Elements that receive text input; unmodified key chords are ignored when these elements have focus.
+    *
+    * @type {string}
+    */
+   static #inputSelector = 'input, select, textarea, [contenteditable]:not([contenteditable="false"])';
+
+   /**
+    * Tracks the Foundry keybinding namespace of registered application classes.
+    *
+    * @type {Map<Function, { namespace: string, appId: string }>}
+    */
+   static #registered = new Map();
+
+   /**
+    * @type {import('../../SvelteApplication').SvelteApplication}
+    */
+   #application;
+
+   /**
+    * @param {import('../../SvelteApplication').SvelteApplication} application - The application.
+    */
+   constructor(application)
+   {
+      this.#application = application;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {Map<string, import('./types').ApplicationCommand>} All resolved commands by command ID.
+    */
+   get commands()
+   {
+      return ApplicationKeybindings.#resolveCommands(this.#application.options.commands);
+   }
+
+   /**
+    * @returns {boolean} Whether the application class is registered with Foundry `game.keybindings`.
+    */
+   get registered()
+   {
+      return ApplicationKeybindings.#getRegistration(this.#application.constructor) !== void 0;
+   }
+
+   /**
+    * Executes a command by ID.
+    *
+    * @param {string}   id - Command ID.
+    *
+    * @param {KeyboardEvent}  [event] - Any originating keyboard event.
+    *
+    * @returns {boolean} Whether the command was executed.
+    */
+   execute(id, event)
+   {
+      const command = this.commands.get(id);
+
+      if (!command) { return false; }
+
+      const application = this.#application;
+
+      if (typeof command.headerButton === 'string')
+      {
+         const button = get(application.reactive.storeUIState.headerButtons).find(
+          (entry) => entry?.class === command.headerButton);
+
+         if (!isObject(button)) { return false; }
+
+         if (HeaderButtonUtil.isDropdown(button)) { return this.#openDropdown(button, event); }
+
+         // Accept `onPress or `onclick` as the function to invoke. `onclick` is from Foundry defined buttons.
+         if (!HeaderButtonUtil.isToggle(button) && typeof (button.onPress ?? button.onclick) !== 'function')
+         {
+            return false;
+         }
+
+         HeaderButtonUtil.press(button, event);
+
+         return true;
+      }
+
+      if (typeof command.onPress !== 'function') { return false; }
+
+      try
+      {
+         command.onPress({ application, command: id, event });
+      }
+      catch (err)
+      {
+         console.error(err);
+      }
+
+      return true;
+   }
+
+   /**
+    * Returns the current key chords for a command. When registered with Foundry `game.keybindings` any user defined
+    * key chords are returned.
+    *
+    * @param {string}   id - Command ID.
+    *
+    * @returns {import('./types').ApplicationCommandKey[]} Key chords.
+    */
+   getKeys(id)
+   {
+      const registration = ApplicationKeybindings.#getRegistration(this.#application.constructor);
+
+      if (registration)
+      {
+         try
+         {
+            return globalThis.game.keybindings.get(registration.namespace, `${registration.appId}.${id}`) ?? [];
+         }
+         catch (err)
+         {
+            // Commands added after registration are not known to `game.keybindings`.
+         }
+      }
+
+      const keys = this.commands.get(id)?.keys;
+
+      return Array.isArray(keys) ? keys : [];
+   }
+
+   /**
+    * Handles keydown events from the application shell matching unregistered commands.
+    *
+    * @param {KeyboardEvent}  event - Keydown event.
+    *
+    * @returns {boolean} Whether a command was executed.
+    *
+    * @package
+    */
+   onKeydown(event)
+   {
+      if (event.repeat || this.registered) { return false; }
+
+      const modified = event.ctrlKey || event.metaKey || event.altKey;
+
+      // Do not handle unmodified key chords while text input elements have focus.
+      if (!modified && event.target?.matches?.(ApplicationKeybindings.#inputSelector)) { return false; }
+
+      for (const [id, command] of this.commands)
+      {
+         if (!Array.isArray(command.keys)) { continue; }
+
+         if (command.keys.some((key) => ApplicationKeybindings.#matches(key, event)) && this.execute(id, event))
+         {
+            event.preventDefault();
+            event.stopPropagation();
+            return true;
+         }
+      }
+
+      return false;
+   }
+
+   /**
+    * Registers the commands of an application class with Foundry `game.keybindings`. This must be invoked during the
+    * `init` hook. The application class must define an `id` in `defaultOptions`. Conflicting default key chords between
+    * commands of the application class are logged as warnings.
+    *
+    * @param {Function} appClass - A SvelteApplication class.
+    *
+    * @param {string}   namespace - The module or system ID that registers the keybindings.
+    */
+   static register(appClass, namespace)
+   {
+      if (typeof namespace !== 'string')
+      {
+         throw new TypeError(`ApplicationKeybindings.register error: 'namespace' is not a string.`);
+      }
+
+      const defaultOptions = appClass.defaultOptions;
+      const appId = defaultOptions?.id;
+
+      if (typeof appId !== 'string' || appId.length === 0)
+      {
+         throw new Error(`ApplicationKeybindings.register error: '${appClass.name}' does not define an 'id' option.`);
+      }
+
+      if (this.#registered.has(appClass)) { return; }
+
+      const commands = this.#resolveCommands(defaultOptions.commands);
+
+      const chords = new Map();
+
+      for (const [id, command] of commands)
+      {
+         const keys = Array.isArray(command.keys) ? command.keys : [];
+
+         for (const key of keys)
+         {
+            const chord = [...(key.modifiers ?? [])].sort().concat(key.key).join('+');
+
+            if (chords.has(chord))
+            {
+               console.warn(`[TRL] ApplicationKeybindings warning: '${appId}' commands '${chords.get(chord)}' and ` +
+                `'${id}' share the key chord '${chord}'.`);
+            }
+            else
+            {
+               chords.set(chord, id);
+            }
+         }
+
+         globalThis.game.keybindings.register(namespace, `${appId}.${id}`, {
+            name: command.name ?? `${defaultOptions.title || appClass.name}: ${id}`,
+            hint: command.hint,
+            editable: keys,
+            precedence: command.precedence,
+            restricted: command.restricted ?? false,
+            onDown: (context) => this.#dispatch(appClass, id, context?.event)
+         });
+      }
+
+      this.#registered.set(appClass, { namespace, appId });
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Dispatches a registered command to the active window when it is an instance of the registered class.
+    *
+    * @param {Function} appClass - A SvelteApplication class.
+    *
+    * @param {string}   id - Command ID.
+    *
+    * @param {KeyboardEvent}  event - Keyboard event.
+    *
+    * @returns {boolean} Whether the command was executed; consuming the keyboard event.
+    */
+   static #dispatch(appClass, id, event)
+   {
+      const application = globalThis.ui?.activeWindow;
+
+      if (!(application instanceof appClass) || !application.rendered) { return false; }
+
+      // Only dispatch when the registration applies to the active window class and not a subclass registered separately.
+      if (this.#getRegistration(application.constructor) !== this.#registered.get(appClass)) { return false; }
+
+      return application.keybindings?.execute(id, event) ?? false;
+   }
+
+   /**
+    * Returns the closest registration for the application class or parent classes.
+    *
+    * @param {Function} appClass - A SvelteApplication class.
+    *
+    * @returns {{ namespace: string, appId: string } | undefined} Registration data.
+    */
+   static #getRegistration(appClass)
+   {
+      for (let current = appClass; typeof current === 'function'; current = Object.getPrototypeOf(current))
+      {
+         const registration = this.#registered.get(current);
+         if (registration) { return registration; }
+      }
+
+      return void 0;
+   }
+
+   /**
+    * Determines if a keyboard event matches a key chord. `Control` matches either the control or meta key.
+    *
+    * @param {import('./types').ApplicationCommandKey} key - Key chord.
+    *
+    * @param {KeyboardEvent}  event - Keyboard event.
+    *
+    * @returns {boolean} Whether the event matches.
+    */
+   static #matches(key, event)
+   {
+      if (!isObject(key) || key.key !== event.code) { return false; }
+
+      const modifiers = Array.isArray(key.modifiers) ? key.modifiers : [];
+
+      return modifiers.includes('Control') === (event.ctrlKey || event.metaKey) &&
+       modifiers.includes('Shift') === event.shiftKey && modifiers.includes('Alt') === event.altKey;
+   }
+
+   /**
+    * Merges built-in commands with the `commands` app option.
+    *
+    * @param {Record<string, import('./types').ApplicationCommand | false>} commands - `commands` app option.
+    *
+    * @returns {Map<string, import('./types').ApplicationCommand>} Resolved commands.
+    */
+   static #resolveCommands(commands)
+   {
+      const result = new Map(Object.entries(this.#builtin));
+
+      if (!isObject(commands)) { return result; }
+
+      for (const [id, command] of Object.entries(commands))
+      {
+         if (command === false) { result.delete(id); }
+         else if (isObject(command)) { result.set(id, { ...result.get(id), ...command }); }
+      }
+
+      return result;
+   }
+
+   /**
+    * Displays the items of a dropdown header button in a context menu below the header button. When the header button
+    * is not displayed the menu is positioned below the header overflow toggle or the application header.
+    *
+    * @param {object}   button - Dropdown header button data.
+    *
+    * @param {KeyboardEvent}  [event] - Any originating keyboard event.
+    *
+    * @returns {boolean} Whether the menu was opened.
+    */
+   #openDropdown(button, event)
+   {
+      const application = this.#application;
+      const elementTarget = application.elementTarget;
+
+      const buttonEl = typeof button.class === 'string' ?
+       elementTarget?.querySelector(`.header-button.${CSS.escape(button.class)}`) : void 0;
+
+      const overflowEl = elementTarget?.querySelector('.tjs-header-overflow');
+
+      // Elements without an offset parent are not displayed.
+      const anchor = buttonEl?.offsetParent ? buttonEl : overflowEl?.offsetParent ? overflowEl :
+       elementTarget?.querySelector('.window-header') ?? elementTarget;
+
+      // Return focus to the element focused when the key chord was pressed.
+      const focusEl = event?.target instanceof HTMLElement ? event.target : anchor;
+
+      return HeaderButtonUtil.openMenu(button, {
+         anchor,
+         activeWindow: application.reactive.activeWindow,
+         event,
+         focusEl
+      });
+   }
+}
@@ -0,0 +1,64 @@
+import type { SvelteApplication } from '../../SvelteApplication.js';
+
+/**
+ * Defines an application command declared by the `commands` app option.
+ */
+type ApplicationCommand = {
+   /**
+    * Command name displayed in the Foundry `Configure Controls` dialog when registered.
+    */
+   name?: string;
+
+   /**
+    * Command hint displayed in the Foundry `Configure Controls` dialog when registered.
+    */
+   hint?: string;
+
+   /**
+    * Default key chords.
+    */
+   keys?: ApplicationCommandKey[];
+
+   /**
+    * The `class` of a header button to press instead of invoking `onPress`. Toggle buttons are toggled and the items
+    * of dropdown buttons are displayed in a context menu.
+    */
+   headerButton?: string;
+
+   /**
+    * Invoked when the command is executed.
+    */
+   onPress?: (data: { application: SvelteApplication, command: string, event?: KeyboardEvent }) => any;
+
+   /**
+    * When false the command is not listed in the command palette; default: `true`.
+    */
+   palette?: boolean;
+
+   /**
+    * Foundry keybinding precedence when registered.
+    */
+   precedence?: number;
+
+   /**
+    * When true the registered keybinding is only editable by GM users; default: `false`.
+    */
+   restricted?: boolean;
+};
+
+/**
+ * Defines a key chord in the same format as Foundry `KeybindingActionBinding`.
+ */
+type ApplicationCommandKey = {
+   /**
+    * A string conforming to `KeyboardEvent.code`.
+    */
+   key: string;
+
+   /**
+    * Required modifier keys; `Control` also matches the meta key.
+    */
+   modifiers?: ('Alt' | 'Control' | 'Shift')[];
+};
+
+export { ApplicationCommand, ApplicationCommandKey }
@@ -22,6 +22,7 @@ import { subscribeIgnoreFirst }  from '#runtime/util/store';
  * - {@link SvelteReactive.dragging}
  * - {@link SvelteReactive.minimized}
  * - {@link SvelteReactive.resizing}
+ * - {@link SvelteReactive.snap}
  *
  * There are also reactive getters / setters for {@link SvelteApplicationOptions} and Foundry
  * {@link ApplicationOptions}. You can use the following as one way bindings and update the associated stores. For
@@ -33,6 +34,8 @@ import { subscribeIgnoreFirst }  from '#runtime/util/store';
  * - {@link SvelteReactive.focusTrap}
  * - {@link SvelteReactive.headerButtonNoClose}
  * - {@link SvelteReactive.headerButtonNoLabel}
+ * - {@link SvelteReactive.headerButtonOverflow}
+ * - {@link SvelteReactive.headerButtonReorder}
  * - {@link SvelteReactive.headerIcon}
  * - {@link SvelteReactive.headerNoTitleMinimized}
  * - {@link SvelteReactive.minimizable}
@@ -219,6 +222,13 @@ export class SvelteReactive
     */
    get resizing() { return this.#dataUIState.resizing; }
 
+   /**
+    * Returns the current window snap / dock UI state.
+    *
+    * @returns {import('../state-snap/types').WindowSnapState} Snap UI state.
+    */
+   get snap() { return this.#dataUIState.snap; }
+
    /**
     * Sets the current active Window / WindowProxy UI state.
     *
@@ -281,6 +291,20 @@ export class SvelteReactive
     */
    get headerButtonNoLabel() { return this.#application?.options?.headerButtonNoLabel; }
 
+   /**
+    * Returns the headerButtonOverflow app option.
+    *
+    * @returns {boolean} Overflow header buttons into a menu app option.
+    */
+   get headerButtonOverflow() { return this.#application?.options?.headerButtonOverflow; }
+
+   /**
+    * Returns the headerButtonReorder app option.
+    *
+    * @returns {boolean} Reorder header buttons by dragging app option.
+    */
+   get headerButtonReorder() { return this.#application?.options?.headerButtonReorder; }
+
    /**
     * Returns the headerIcon app option.
     *
@@ -391,6 +415,26 @@ export class SvelteReactive
       if (typeof headerButtonNoLabel === 'boolean') { this.setOptions('headerButtonNoLabel', headerButtonNoLabel); }
    }
 
+   /**
+    * Sets `this.options.headerButtonOverflow` which is reactive for application shells.
+    *
+    * @param {boolean}  headerButtonOverflow - Sets the headerButtonOverflow option.
+    */
+   set headerButtonOverflow(headerButtonOverflow)
+   {
+      if (typeof headerButtonOverflow === 'boolean') { this.setOptions('headerButtonOverflow', headerButtonOverflow); }
+   }
+
+   /**
+    * Sets `this.options.headerButtonReorder` which is reactive for application shells.
+    *
+    * @param {boolean}  headerButtonReorder - Sets the headerButtonReorder option.
+    */
+   set headerButtonReorder(headerButtonReorder)
+   {
+      if (typeof headerButtonReorder === 'boolean') { this.setOptions('headerButtonReorder', headerButtonReorder); }
+   }
+
    /**
     * Sets `this.options.headerIcon` which is reactive for application shells.
     *
@@ -560,6 +604,10 @@ export class SvelteReactive
     * to remove the close button and {@link SvelteApplicationOptions.headerButtonNoLabel} to true and labels will be
     * removed from the header buttons.
     *
+    * Besides one-shot buttons invoking `onPress`, header buttons may define a writable boolean `store` to create a
+    * toggle button or `items` to create a dropdown button displaying a menu of sub-actions. See `TJSHeaderButton` for
+    * all supported header button data.
+    *
     * @param {object} [opts] - Optional parameters (for internal use)
     *
     * @param {boolean} [opts.headerButtonNoClose] - The value for `headerButtonNoClose`.
@@ -580,7 +628,12 @@ export class SvelteReactive
       // Remove labels if this.options.headerButtonNoLabel is true;
       if (typeof headerButtonNoLabel === 'boolean' && headerButtonNoLabel)
       {
-         for (const button of buttons) { button.label = void 0; }
+         for (const button of buttons)
+         {
+            button.label = void 0;
+
+            if (typeof button.toggled === 'object' && button.toggled !== null) { button.toggled.label = void 0; }
+         }
       }
 
       this.#storeUIStateUpdate((options) =>
@@ -623,6 +676,8 @@ export class SvelteReactive
          focusTrap: propertyStore(writableAppOptions, 'focusTrap'),
          headerButtonNoClose: propertyStore(writableAppOptions, 'headerButtonNoClose'),
          headerButtonNoLabel: propertyStore(writableAppOptions, 'headerButtonNoLabel'),
+         headerButtonOverflow: propertyStore(writableAppOptions, 'headerButtonOverflow'),
+         headerButtonReorder: propertyStore(writableAppOptions, 'headerButtonReorder'),
          headerIcon: propertyStore(writableAppOptions, 'headerIcon'),
          headerNoTitleMinimized: propertyStore(writableAppOptions, 'headerNoTitleMinimized'),
          minimizable: propertyStore(writableAppOptions, 'minimizable'),
@@ -641,7 +696,8 @@ export class SvelteReactive
          dragging: false,
          headerButtons: [],
          minimized: this.#application._minimized,
-         resizing: false
+         resizing: false,
+         snap: { x: null, y: null, dockZone: null, docked: null }
       };
 
       // Create a store for UI state data.
@@ -661,7 +717,8 @@ export class SvelteReactive
          dragging: propertyStore(writableUIOptions, 'dragging'),
          headerButtons: derived(writableUIOptions, ($options, set) => set($options.headerButtons)),
          minimized: derived(writableUIOptions, ($options, set) => set($options.minimized)),
-         resizing: propertyStore(writableUIOptions, 'resizing')
+         resizing: propertyStore(writableUIOptions, 'resizing'),
+         snap: derived(writableUIOptions, ($options, set) => set($options.snap))
       };
 
       Object.freeze(storeUIState);
@@ -691,6 +748,23 @@ export class SvelteReactive
          this.updateHeaderButtons({ headerButtonNoLabel: value });
       }));
 
+      // Handles window snapping / docking when dragging or resizing starts / ends.
+      this.#storeUnsubscribe.push(subscribeIgnoreFirst(this.#storeUIState.dragging, (value) =>
+      {
+         this.#application.snap?.onDragging(value);
+      }));
+
+      this.#storeUnsubscribe.push(subscribeIgnoreFirst(this.#storeUIState.resizing, (value) =>
+      {
+         this.#application.snap?.onResizing(value);
+      }));
+
+      // Handles saving the app position when dragging or resizing ends and `persistPosition` is enabled.
+      const persistPosition = (value) => { if (!value) { this.#application.state.persistSave(); } };
+
+      this.#storeUnsubscribe.push(subscribeIgnoreFirst(this.#storeUIState.dragging, persistPosition));
+      this.#storeUnsubscribe.push(subscribeIgnoreFirst(this.#storeUIState.resizing, persistPosition));
+
       // Handles adding / removing this application from `ui.windows` when popOut changes.
       this.#storeUnsubscribe.push(subscribeIgnoreFirst(this.#storeAppOptions.popOut, (value) =>
       {
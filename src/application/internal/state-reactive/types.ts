@@ -4,6 +4,8 @@ import type {
 
 import type { TJSWebStorage } from '#runtime/svelte/store/web-storage';
 
+import type { WindowSnapState } from '../state-snap/types';
+
 /**
  * Contains the reactive functionality / Svelte stores associated with SvelteApplication and retrievable by
  * {@link SvelteApplication.reactive}.
@@ -13,6 +15,7 @@ import type { TJSWebStorage } from '#runtime/svelte/store/web-storage';
  * - {@link SvelteReactive.dragging}
  * - {@link SvelteReactive.minimized}
  * - {@link SvelteReactive.resizing}
+ * - {@link SvelteReactive.snap}
  *
  * There are also reactive getters / setters for {@link SvelteApplicationOptions} and Foundry
  * {@link ApplicationOptions}. You can use the following as one way bindings and update the associated stores. For
@@ -24,6 +27,8 @@ import type { TJSWebStorage } from '#runtime/svelte/store/web-storage';
  * - {@link SvelteReactive.focusTrap}
  * - {@link SvelteReactive.headerButtonNoClose}
  * - {@link SvelteReactive.headerButtonNoLabel}
+ * - {@link SvelteReactive.headerButtonOverflow}
+ * - {@link SvelteReactive.headerButtonReorder}
  * - {@link SvelteReactive.headerIcon}
  * - {@link SvelteReactive.headerNoTitleMinimized}
  * - {@link SvelteReactive.minimizable}
@@ -168,6 +173,34 @@ declare interface SvelteReactive
     */
    set headerButtonNoLabel(headerButtonNoLabel: boolean);
 
+   /**
+    * Returns the headerButtonOverflow app option.
+    *
+    * @returns {boolean} Overflow header buttons into a menu app option.
+    */
+   get headerButtonOverflow(): boolean;
+
+   /**
+    * Sets `this.options.headerButtonOverflow` which is reactive for application shells.
+    *
+    * @param {boolean}  headerButtonOverflow - Sets the headerButtonOverflow option.
+    */
+   set headerButtonOverflow(headerButtonOverflow: boolean);
+
+   /**
+    * Returns the headerButtonReorder app option.
+    *
+    * @returns {boolean} Reorder header buttons by dragging app option.
+    */
+   get headerButtonReorder(): boolean;
+
+   /**
+    * Sets `this.options.headerButtonReorder` which is reactive for application shells.
+    *
+    * @param {boolean}  headerButtonReorder - Sets the headerButtonReorder option.
+    */
+   set headerButtonReorder(headerButtonReorder: boolean);
+
    /**
     * Returns the headerIcon app option.
     *
@@ -299,6 +332,13 @@ declare interface SvelteReactive
     */
    get resizing(): boolean;
 
+   /**
+    * Returns the current window snap / dock UI state.
+    *
+    * @returns {WindowSnapState} Snap UI state.
+    */
+   get snap(): WindowSnapState;
+
    /**
     * Sets the current active Window / WindowProxy UI state.
     *
@@ -408,6 +448,16 @@ type StoreAppOptions = {
     */
    headerButtonNoLabel: Writable<boolean>;
 
+   /**
+    * Derived store for `headerButtonOverflow` updates.
+    */
+   headerButtonOverflow: Writable<boolean>;
+
+   /**
+    * Derived store for `headerButtonReorder` updates.
+    */
+   headerButtonReorder: Writable<boolean>;
+
    /**
     * Derived store for `headerIcon` updates.
     */
@@ -472,6 +522,11 @@ type StoreUIOptions = {
     * Derived store for `resizing` updates.
     */
    resizing: Writable<boolean>;
+
+   /**
+    * Derived store for window snap / dock state updates.
+    */
+   snap: Readable<WindowSnapState>;
 };
 
 /**
@@ -0,0 +1,721 @@
+import { isObject }          from '#runtime/util/object';
+
+import { TJSAppIndex }       from '../TJSAppIndex.js';
+import { getViewportBounds } from '../util/getViewportBounds.js';
+
+/**
+ * Provides window snapping and docking for {@link SvelteApplication} instances and is retrievable by
+ * {@link SvelteApplication.snap}. Snapping is enabled by the `snap` app option and is applied through a TJSPosition
+ * validator while the application is dragged by the header or resized by the resize handle.
+ *
+ * When active the following snapping is applied on both axes:
+ * - Edge magnetism: window edges snap to the edges of the browser viewport / active window.
+ * - Sidebar: the right window edge snaps to the left edge of the Foundry sidebar.
+ * - Sibling windows: window edges align with or butt up against the edges of other open SvelteApplications from
+ *   {@link TJSAppIndex}.
+ * - Grid: when no magnetic snap occurs the dragged / resized window edge is snapped to a grid.
+ *
+ * When docking is enabled and the pointer is released near the edge or corner of the available viewport area the
+ * window is docked into a tiled layout (half / quarter / maximized). Dragging a docked window restores the width /
+ * height it had before docking.
+ *
+ * The current snap state is available reactively through the `snap` store of {@link SvelteReactive.storeUIState}.
+ *
+ * @example
+ * class MyApp extends SvelteApplication
+ * {
+ *    static get defaultOptions()
+ *    {
+ *       return deepMerge(super.defaultOptions, {
+ *          snap: { grid: 20, dock: true }
+ *       });
+ *    }
+ * }
+ */
+export class WindowSnap
+{
+   /**
+    * Default snap options applied when `snap` app option is `true` or partially defined.
+    *
+    * @type {Readonly<import('./types').WindowSnapOptions>}
+    */
+   static #defaultOptions = Object.freeze({
+      dock: false,
+      dockThreshold: 8,
+      duration: 0.2,
+      gap: 0,
+      grid: 0,
+      sidebar: true,
+      threshold: 10,
+      viewport: true,
+      windows: true
+   });
+
+   /**
+    * All dock zones.
+    *
+    * @type {ReadonlyArray<import('./types').WindowSnapDockZone>}
+    */
+   static #dockZones = Object.freeze(['left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right',
+    'maximize']);
+
+   /**
+    * @type {import('../../SvelteApplication').SvelteApplication}
+    */
+   #application;
+
+   /**
+    * The available viewport area and static snap lines collected when dragging / resizing starts.
+    *
+    * @type {{ bounds: { left: number, top: number, right: number, bottom: number }, x: object[], y: object[] }}
+    */
+   #lines;
+
+   /**
+    * The current interaction mode.
+    *
+    * @type {'drag' | 'resize' | null}
+    */
+   #mode = null;
+
+   /**
+    * Resolved snap options for the current interaction.
+    *
+    * @type {import('./types').WindowSnapOptions | null}
+    */
+   #options = null;
+
+   /**
+    * Pointer move handler & the window it is registered on when tracking dock zones.
+    *
+    * @type {{ handler: Function, window: Window } | null}
+    */
+   #pointer = null;
+
+   /**
+    * Bounding rectangles of sibling windows collected when dragging / resizing starts.
+    *
+    * @type {{ id: string, left: number, top: number, right: number, bottom: number }[]}
+    */
+   #siblings = [];
+
+   /**
+    * The current published snap state.
+    *
+    * @type {import('./types').WindowSnapState}
+    */
+   #state = { x: null, y: null, dockZone: null, docked: null };
+
+   /**
+    * The width / height to restore when undocking.
+    *
+    * @type {{ width: number, height: number } | null}
+    */
+   #undockSize = null;
+
+   /**
+    * Stores the UI state update function.
+    *
+    * @type {(this: void, updater: import('svelte/store').Updater<object>) => void}
+    */
+   #uiStateUpdate;
+
+   /**
+    * @param {import('../../SvelteApplication').SvelteApplication} application - The host Foundry application.
+    *
+    * @param {(this: void, updater: import('svelte/store').Updater<object>) => void} uiStateUpdate - UI state store
+    *        update function.
+    */
+   constructor(application, uiStateUpdate)
+   {
+      this.#application = application;
+      this.#uiStateUpdate = uiStateUpdate;
+
+      // Run before any default validator, so that bounds constraints are still applied after snapping.
+      application.position.validators.add({
+         id: '#windowSnap',
+         validate: (valData) => this.#validate(valData),
+         weight: 0.5
+      });
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {ReadonlyArray<import('./types').WindowSnapDockZone>} All dock zones.
+    */
+   static get dockZones() { return this.#dockZones; }
+
+   /**
+    * @returns {import('./types').WindowSnapDockZone | null} The current dock zone or null when not docked.
+    */
+   get docked() { return this.#state.docked; }
+
+   /**
+    * @returns {import('./types').WindowSnapOptions | null} The resolved snap options from the `snap` app option or
+    *          null when snapping is disabled.
+    */
+   get options() { return WindowSnap.#resolveOptions(this.#application.options.snap); }
+
+   /**
+    * Docks the application into the given tiled layout zone of the available viewport area. The width / height before
+    * docking is restored on {@link WindowSnap.undock} or when a docked window is dragged.
+    *
+    * @param {import('./types').WindowSnapDockZone}   zone - Dock zone.
+    *
+    * @param {object}   [opts] - Optional parameters.
+    *
+    * @param {boolean}  [opts.animate=true] - When true and `duration` is greater than 0 the dock is animated.
+    *
+    * @returns {Promise<void>} A Promise resolved when docking completes.
+    */
+   async dock(zone, { animate = true } = {})
+   {
+      if (!WindowSnap.#dockZones.includes(zone)) { throw new TypeError(`WindowSnap error: 'zone' is not a dock zone.`); }
+
+      const application = this.#application;
+
+      if (application.reactive.minimized) { return; }
+
+      const options = this.options ?? WindowSnap.#defaultOptions;
+
+      if (this.#undockSize === null) { this.#undockSize = this.#getSize(); }
+
+      this.#publish({ docked: zone });
+
+      const position = this.getDockPosition(zone);
+
+      if (animate && options.duration > 0)
+      {
+         const { cancelled } = await application.position.animate.to(position, {
+            duration: options.duration,
+            strategy: 'cancelAll'
+         }).finished;
+
+         if (cancelled) { return; }
+      }
+      else
+      {
+         application.position.set(position);
+      }
+
+      application.state.persistSave();
+   }
+
+   /**
+    * Returns the position data for the given dock zone in the available viewport area. When the `sidebar` snap option
+    * is enabled the area to the left of the Foundry sidebar is used.
+    *
+    * @param {import('./types').WindowSnapDockZone}   zone - Dock zone.
+    *
+    * @returns {{ left: number, top: number, width: number, height: number }} Dock position data.
+    */
+   getDockPosition(zone)
+   {
+      const { left, top, right, bottom } = this.#getBounds(this.options ?? WindowSnap.#defaultOptions);
+
+      const halfWidth = Math.floor((right - left) / 2);
+      const halfHeight = Math.floor((bottom - top) / 2);
+
+      switch (zone)
+      {
+         case 'left':
+            return { left, top, width: halfWidth, height: bottom - top };
+
+         case 'right':
+            return { left: left + halfWidth, top, width: right - left - halfWidth, height: bottom - top };
+
+         case 'top-left':
+            return { left, top, width: halfWidth, height: halfHeight };
+
+         case 'top-right':
+            return { left: left + halfWidth, top, width: right - left - halfWidth, height: halfHeight };
+
+         case 'bottom-left':
+            return { left, top: top + halfHeight, width: halfWidth, height: bottom - top - halfHeight };
+
+         case 'bottom-right':
+            return {
+               left: left + halfWidth,
+               top: top + halfHeight,
+               width: right - left - halfWidth,
+               height: bottom - top - halfHeight
+            };
+
+         case 'maximize':
+            return { left, top, width: right - left, height: bottom - top };
+
+         default:
+            throw new TypeError(`WindowSnap error: 'zone' is not a dock zone.`);
+      }
+   }
+
+   /**
+    * Undocks the application restoring the width / height before docking.
+    *
+    * @param {object}   [opts] - Optional parameters.
+    *
+    * @param {boolean}  [opts.animate=false] - When true and `duration` is greater than 0 the undock is animated.
+    *
+    * @returns {Promise<void>} A Promise resolved when undocking completes.
+    */
+   async undock({ animate = false } = {})
+   {
+      if (this.#state.docked === null) { return; }
+
+      const size = this.#undockSize;
+
+      this.#undockSize = null;
+      this.#publish({ docked: null });
+
+      if (size === null) { return; }
+
+      const duration = this.options?.duration ?? WindowSnap.#defaultOptions.duration;
+
+      if (animate && duration > 0)
+      {
+         await this.#application.position.animate.to(size, { duration, strategy: 'cancelAll' }).finished;
+      }
+      else
+      {
+         this.#application.position.set(size);
+      }
+   }
+
+   /**
+    * Handles `dragging` UI state changes. Package private for internal use.
+    *
+    * @param {boolean}  dragging - Dragging state.
+    *
+    * @package
+    * @internal
+    */
+   onDragging(dragging)
+   {
+      if (dragging)
+      {
+         const options = this.options;
+         if (!options) { return; }
+
+         // Restore the size before docking before snapping starts.
+         if (this.#state.docked !== null) { this.undock(); }
+
+         this.#start('drag', options);
+
+         if (options.dock && !this.#application.reactive.minimized) { this.#addPointerListener(); }
+      }
+      else
+      {
+         const dockZone = this.#state.dockZone;
+
+         this.#end();
+
+         if (dockZone !== null) { this.dock(dockZone); }
+      }
+   }
+
+   /**
+    * Handles `resizing` UI state changes. Package private for internal use.
+    *
+    * @param {boolean}  resizing - Resizing state.
+    *
+    * @package
+    * @internal
+    */
+   onResizing(resizing)
+   {
+      if (resizing)
+      {
+         const options = this.options;
+         if (!options) { return; }
+
+         // Resizing a docked window leaves the tiled layout.
+         if (this.#state.docked !== null)
+         {
+            this.#undockSize = null;
+            this.#publish({ docked: null });
+         }
+
+         this.#start('resize', options);
+      }
+      else
+      {
+         this.#end();
+      }
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Tracks the pointer while dragging to determine the dock zone.
+    */
+   #addPointerListener()
+   {
+      const activeWindow = this.#application.reactive.activeWindow;
+
+      const handler = (event) =>
+      {
+         const { left, top, right, bottom } = this.#lines.bounds;
+         const threshold = this.#options.dockThreshold;
+
+         const nearLeft = event.clientX <= left + threshold;
+         const nearRight = event.clientX >= right - threshold;
+         const nearTop = event.clientY <= top + threshold;
+         const nearBottom = event.clientY >= bottom - threshold;
+
+         let dockZone = null;
+
+         if (nearTop && nearLeft) { dockZone = 'top-left'; }
+         else if (nearTop && nearRight) { dockZone = 'top-right'; }
+         else if (nearBottom && nearLeft) { dockZone = 'bottom-left'; }
+         else if (nearBottom && nearRight) { dockZone = 'bottom-right'; }
+         else if (nearLeft) { dockZone = 'left'; }
+         else if (nearRight) { dockZone = 'right'; }
+         else if (nearTop) { dockZone = 'maximize'; }
+
+         if (dockZone !== this.#state.dockZone) { this.#publish({ dockZone }); }
+      };
+
+      activeWindow.addEventListener('pointermove', handler, { passive: true });
+
+      this.#pointer = { handler, window: activeWindow };
+   }
+
+   /**
+    * Collects sibling window bounds from visible apps in TJSAppIndex that share the same active window.
+    *
+    * @param {Window}   activeWindow - The active window of this application.
+    */
+   #collectSiblings(activeWindow)
+   {
+      this.#siblings = [];
+
+      for (const app of TJSAppIndex.values())
+      {
+         if (app === this.#application || app?.reactive?.minimized) { continue; }
+
+         const el = app.elementTarget;
+         if (!(el instanceof HTMLElement) || el.ownerDocument?.defaultView !== activeWindow) { continue; }
+
+         const { left, top } = app.position;
+         if (typeof left !== 'number' || typeof top !== 'number') { continue; }
+
+         this.#siblings.push({ id: app.id, left, top, right: left + el.offsetWidth, bottom: top + el.offsetHeight });
+      }
+   }
+
+   /**
+    * Concludes the current drag / resize interaction.
+    */
+   #end()
+   {
+      if (this.#pointer)
+      {
+         this.#pointer.window.removeEventListener('pointermove', this.#pointer.handler);
+         this.#pointer = null;
+      }
+
+      this.#mode = null;
+      this.#options = null;
+      this.#siblings = [];
+
+      if (this.#state.x !== null || this.#state.y !== null || this.#state.dockZone !== null)
+      {
+         this.#publish({ x: null, y: null, dockZone: null });
+      }
+   }
+
+   /**
+    * @param {import('./types').WindowSnapOptions}   options - Snap options.
+    *
+    * @returns {{ left: number, top: number, right: number, bottom: number }} Available viewport area.
+    */
+   #getBounds(options)
+   {
+      return getViewportBounds(this.#application.reactive.activeWindow, { sidebar: options.sidebar });
+   }
+
+   /**
+    * @returns {{ width: number, height: number }} The current numeric width / height of the application.
+    */
+   #getSize()
+   {
+      const { width, height } = this.#application.position;
+      const el = this.#application.elementTarget;
+
+      return {
+         width: typeof width === 'number' ? width : el?.offsetWidth ?? 0,
+         height: typeof height === 'number' ? height : el?.offsetHeight ?? 0
+      };
+   }
+
+   /**
+    * Publishes changes to the snap UI state.
+    *
+    * @param {Partial<import('./types').WindowSnapState>}   changes - Snap state changes.
+    */
+   #publish(changes)
+   {
+      this.#state = { ...this.#state, ...changes };
+
+      const state = this.#state;
+
+      this.#uiStateUpdate((options) =>
+      {
+         options.snap = state;
+         return options;
+      });
+   }
+
+   /**
+    * Starts a drag / resize interaction collecting the viewport area, static snap lines and sibling windows.
+    *
+    * @param {'drag' | 'resize'} mode - Interaction mode.
+    *
+    * @param {import('./types').WindowSnapOptions}   options - Snap options.
+    */
+   #start(mode, options)
+   {
+      const activeWindow = this.#application.reactive.activeWindow;
+
+      const bounds = this.#getBounds(options);
+
+      const x = [];
+      const y = [];
+
+      if (options.viewport)
+      {
+         x.push({ value: 0, target: { type: 'viewport', edge: 'left' } });
+         x.push({ value: activeWindow.innerWidth, target: { type: 'viewport', edge: 'right' } });
+         y.push({ value: 0, target: { type: 'viewport', edge: 'top' } });
+         y.push({ value: activeWindow.innerHeight, target: { type: 'viewport', edge: 'bottom' } });
+      }
+
+      if (options.sidebar && bounds.right !== activeWindow.innerWidth)
+      {
+         x.push({ value: bounds.right, target: { type: 'sidebar', edge: 'left' } });
+      }
+
+      this.#lines = { bounds, x, y };
+
+      if (options.windows) { this.#collectSiblings(activeWindow); }
+
+      this.#mode = mode;
+      this.#options = options;
+   }
+
+   /**
+    * Returns the snap lines on one axis from sibling windows that overlap the window on the opposite axis.
+    *
+    * @param {'x' | 'y'}   axis - Axis.
+    *
+    * @param {number}   start - Window start on the opposite axis.
+    *
+    * @param {number}   end - Window end on the opposite axis.
+    *
+    * @returns {object[]} Snap lines.
+    */
+   #siblingLines(axis, start, end)
+   {
+      const { gap, threshold } = this.#options;
+
+      const lines = [];
+
+      const [startKey, endKey, oppStartKey, oppEndKey] = axis === 'x' ? ['left', 'right', 'top', 'bottom'] :
+       ['top', 'bottom', 'left', 'right'];
+
+      for (const sibling of this.#siblings)
+      {
+         if (sibling[oppStartKey] - threshold > end || sibling[oppEndKey] + threshold < start) { continue; }
+
+         const startTarget = { type: 'window', id: sibling.id, edge: startKey };
+         const endTarget = { type: 'window', id: sibling.id, edge: endKey };
+
+         // Align with sibling edges.
+         lines.push({ value: sibling[startKey], target: startTarget });
+         lines.push({ value: sibling[endKey], target: endTarget });
+
+         // Butt up against sibling edges.
+         if (gap !== 0)
+         {
+            lines.push({ value: sibling[startKey] - gap, target: startTarget });
+            lines.push({ value: sibling[endKey] + gap, target: endTarget });
+         }
+      }
+
+      return lines;
+   }
+
+   /**
+    * Snaps one axis of the position data being validated.
+    *
+    * @param {'x' | 'y'}   axis - Axis.
+    *
+    * @param {object}   position - Position data being validated.
+    *
+    * @param {object}   valData - Validation data.
+    *
+    * @returns {import('./types').WindowSnapTarget | null} The snap target.
+    */
+   #snapAxis(axis, position, valData)
+   {
+      const { grid, threshold } = this.#options;
+
+      const [startKey, sizeKey, minKey, oppStartKey, oppSizeKey] = axis === 'x' ?
+       ['left', 'width', 'minWidth', 'top', 'height'] : ['top', 'height', 'minHeight', 'left', 'width'];
+
+      const start = position[startKey];
+      const size = valData[sizeKey];
+
+      if (typeof start !== 'number' || typeof size !== 'number') { return null; }
+
+      const oppStart = position[oppStartKey];
+      const lines = this.#lines[axis].concat(this.#siblingLines(axis, oppStart, oppStart + valData[oppSizeKey]));
+
+      if (this.#mode === 'drag')
+      {
+         const dragLine = WindowSnap.#nearest([start, start + size], lines, threshold);
+
+         if (dragLine)
+         {
+            position[startKey] = start + dragLine.delta;
+            return dragLine.target;
+         }
+
+         if (grid > 0)
+         {
+            position[startKey] = Math.round(start / grid) * grid;
+            return { type: 'grid', edge: startKey };
+         }
+
+         return null;
+      }
+
+      // Resizing: determine the moving edge by comparing against the current position.
+      const moveStart = start !== this.#application.position[startKey];
+      const edge = moveStart ? start : start + size;
+
+      let delta = 0;
+      let target = null;
+
+      const snapLine = WindowSnap.#nearest([edge], lines, threshold);
+
+      if (snapLine)
+      {
+         delta = snapLine.delta;
+         target = snapLine.target;
+      }
+      else if (grid > 0)
+      {
+         delta = (Math.round(edge / grid) * grid) - edge;
+         target = { type: 'grid', edge: moveStart ? startKey : axis === 'x' ? 'right' : 'bottom' };
+      }
+
+      if (target === null) { return null; }
+
+      const newSize = moveStart ? size - delta : size + delta;
+
+      // Avoid snapping below the minimum size.
+      if (newSize < (valData[minKey] ?? 0)) { return null; }
+
+      if (moveStart) { position[startKey] = start + delta; }
+
+      position[sizeKey] = newSize;
+      valData[sizeKey] = newSize;
+
+      return target;
+   }
+
+   /**
+    * Validator that applies snapping while dragging / resizing.
+    *
+    * @param {import('#runtime/svelte/store/position').ValidatorAPI.ValidationData}   valData - Validation data.
+    *
+    * @returns {import('#runtime/svelte/store/position').Data.TJSPositionData} Position data.
+    */
+   #validate(valData)
+   {
+      const position = valData.position;
+
+      if (this.#mode === null) { return position; }
+
+      const x = this.#snapAxis('x', position, valData);
+      const y = this.#snapAxis('y', position, valData);
+
+      if (!WindowSnap.#isSameTarget(x, this.#state.x) || !WindowSnap.#isSameTarget(y, this.#state.y))
+      {
+         this.#publish({ x, y });
+      }
+
+      return position;
+   }
+
+   /**
+    * @param {import('./types').WindowSnapTarget | null}   a - Snap target.
+    *
+    * @param {import('./types').WindowSnapTarget | null}   b - Snap target.
+    *
+    * @returns {boolean} Whether the snap targets are the same.
+    */
+   static #isSameTarget(a, b)
+   {
+      if (a === b) { return true; }
+      if (a === null || b === null) { return false; }
+
+      return a.type === b.type && a.edge === b.edge && a.id === b.id;
+   }
+
+   /**
+    * Finds the nearest snap line within the threshold of any of the given edges.
+    *
+    * @param {number[]} edges - Window edges.
+    *
+    * @param {object[]} lines - Snap lines.
+    *
+    * @param {number}   threshold - Snap threshold.
+    *
+    * @returns {{ delta: number, target: import('./types').WindowSnapTarget } | null} Nearest snap line.
+    */
+   static #nearest(edges, lines, threshold)
+   {
+      let result = null;
+
+      for (const line of lines)
+      {
+         for (const edge of edges)
+         {
+            const delta = line.value - edge;
+
+            if (Math.abs(delta) <= threshold && (result === null || Math.abs(delta) < Math.abs(result.delta)))
+            {
+               result = { delta, target: line.target };
+            }
+         }
+      }
+
+      return result;
+   }
+
+   /**
+    * Resolves the `snap` app option.
+    *
+    * @param {boolean | Partial<import('./types').WindowSnapOptions>}  snap - The `snap` app option.
+    *
+    * @returns {import('./types').WindowSnapOptions | null} Resolved snap options or null when disabled.
+    */
+   static #resolveOptions(snap)
+   {
+      if (snap === true) { return this.#defaultOptions; }
+
+      if (!isObject(snap) || snap.enabled === false) { return null; }
+
+      const options = { ...this.#defaultOptions };
+
+      for (const key of Object.keys(options))
+      {
+         if (typeof snap[key] === typeof options[key]) { options[key] = snap[key]; }
+      }
+
+      return options;
+   }
+}
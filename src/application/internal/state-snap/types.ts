@@ -0,0 +1,107 @@
+/**
+ * Defines the tiled layout zones a window may be docked into.
+ */
+type WindowSnapDockZone = 'left' | 'right' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right' | 'maximize';
+
+/**
+ * Defines the options for the `snap` app option. Setting `snap` to `true` enables snapping w/ default options.
+ */
+type WindowSnapOptions = {
+   /**
+    * When true windows are docked into tiled layouts when the pointer is released near the edge or corner of the
+    * available viewport area; default: `false`.
+    */
+   dock: boolean;
+
+   /**
+    * Distance in pixels from the edge of the available viewport area that activates a dock zone; default: `8`.
+    */
+   dockThreshold: number;
+
+   /**
+    * Duration in seconds of the dock animation; `0` disables animation; default: `0.2`.
+    */
+   duration: number;
+
+   /**
+    * When false snapping is disabled.
+    */
+   enabled?: boolean;
+
+   /**
+    * Gap in pixels kept between windows when snapping against the outside edges of sibling windows; default: `0`.
+    */
+   gap: number;
+
+   /**
+    * Grid size in pixels applied when no magnetic snap occurs; `0` disables grid snapping; default: `0`.
+    */
+   grid: number;
+
+   /**
+    * When true windows snap to the left edge of the Foundry sidebar and docking excludes the sidebar; default: `true`.
+    */
+   sidebar: boolean;
+
+   /**
+    * Magnetism distance in pixels for edge snapping; default: `10`.
+    */
+   threshold: number;
+
+   /**
+    * When true windows snap to the edges of the browser viewport / active window; default: `true`.
+    */
+   viewport: boolean;
+
+   /**
+    * When true windows snap to the edges of other open SvelteApplication windows; default: `true`.
+    */
+   windows: boolean;
+};
+
+/**
+ * Defines the reactive snap state available from the `snap` store of {@link SvelteReactive.storeUIState}.
+ */
+type WindowSnapState = {
+   /**
+    * The current snap target on the horizontal axis while dragging / resizing.
+    */
+   x: WindowSnapTarget | null;
+
+   /**
+    * The current snap target on the vertical axis while dragging / resizing.
+    */
+   y: WindowSnapTarget | null;
+
+   /**
+    * The dock zone that will be applied if the pointer is released while dragging.
+    */
+   dockZone: WindowSnapDockZone | null;
+
+   /**
+    * The dock zone the window is currently docked in.
+    */
+   docked: WindowSnapDockZone | null;
+};
+
+/**
+ * Describes what a window edge is snapped to.
+ */
+type WindowSnapTarget = {
+   /**
+    * The snap target type.
+    */
+   type: 'viewport' | 'sidebar' | 'window' | 'grid';
+
+   /**
+    * The edge of the target snapped to; for `grid` the window edge snapped.
+    */
+   edge: 'left' | 'right' | 'top' | 'bottom';
+
+   /**
+    * The app ID of the sibling window for the `window` type.
+    */
+   id?: string;
+};
+
+export { WindowSnapDockZone, WindowSnapOptions, WindowSnapState, WindowSnapTarget }
@@ -0,0 +1,331 @@
+import {
+   derived,
+   get,
+   writable }                 from '#svelte/store';
+
+import { TJSSvelteConfigUtil }  from '#runtime/svelte/util';
+import { isObject }             from '#runtime/util/object';
+
+import { TJSTabWindowShell }    from '#svelte-fvtt/component/internal';
+
+/**
+ * Manages the tabs of `TJSTabbedApplicationShell` for `SvelteApplication` instances and is retrievable by
+ * `SvelteApplication.tabs`. Tabs are declared by the `tabs` prop of the shell as an array of
+ * {@link import('./types').ApplicationTab} data defining a Svelte config for the tab content.
+ *
+ * An instance is created on first access of `SvelteApplication.tabs`, so session storage is only used by applications
+ * with a tabbed shell. The active tab is persisted in `SvelteReactive.sessionStorage` by app ID. A detachable tab may be dragged out
+ * of the tab bar into its own window and is reattached when the window is dragged back over the tab bar or closed.
+ * Detached windows are closed when the application closes.
+ *
+ * @example
+ * <TJSTabbedApplicationShell bind:elementRoot tabs={[
+ *    { id: 'details', label: 'Details', icon: 'fas fa-book', svelte: { class: Details } },
+ *    { id: 'effects', label: 'Effects', svelte: { class: Effects, props: { actor } } }
+ * ]} />
+ */
+export class ApplicationTabs
+{
+   /**
+    * @type {import('../../SvelteApplication').SvelteApplication}
+    */
+   #application;
+
+   /**
+    * Creates the windows of detached tabs.
+    *
+    * @type {(options: object) => import('../../SvelteApplication').SvelteApplication}
+    */
+   #createWindow;
+
+   /**
+    * Windows of detached tabs by tab ID.
+    *
+    * @type {Map<string, import('../../SvelteApplication').SvelteApplication>}
+    */
+   #detached = new Map();
+
+   /**
+    * The tab bar element of the shell used to determine if a detached window is dropped over the tab bar.
+    *
+    * @type {HTMLElement}
+    */
+   #elementTabBar;
+
+   /**
+    * @type {import('./types').ApplicationTabsStores}
+    */
+   #stores;
+
+   /**
+    * @type {import('svelte/store').Writable<string>}
+    */
+   #storeActive;
+
+   /**
+    * @type {import('svelte/store').Writable<string[]>}
+    */
+   #storeDetached = writable([]);
+
+   /**
+    * @type {import('svelte/store').Writable<boolean>}
+    */
+   #storeDropHover = writable(false);
+
+   /**
+    * @type {import('svelte/store').Writable<import('./types').ApplicationTab[]>}
+    */
+   #storeTabs = writable([]);
+
+   /**
+    * @param {import('../../SvelteApplication').SvelteApplication} application - The host application.
+    *
+    * @param {(options: object) => import('../../SvelteApplication').SvelteApplication} createWindow - Creates the
+    *        windows of detached tabs.
+    */
+   constructor(application, createWindow)
+   {
+      this.#application = application;
+      this.#createWindow = createWindow;
+
+      this.#storeActive = application.reactive.sessionStorage.getStore(`${application.id}-tabs-active`);
+
+      this.#stores = Object.freeze({
+         active: {
+            set: (id) => this.activate(id),
+            subscribe: this.#storeActive.subscribe,
+            update: (updater) => this.activate(updater(this.active))
+         },
+         detached: { subscribe: this.#storeDetached.subscribe },
+         dropHover: { subscribe: this.#storeDropHover.subscribe },
+         tabs: { subscribe: this.#storeTabs.subscribe },
+         visible: derived([this.#storeTabs, this.#storeDetached], ([$tabs, $detached]) =>
+          $tabs.filter((tab) => !$detached.includes(tab.id)))
+      });
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {string | undefined} The active tab ID.
+    */
+   get active() { return get(this.#storeActive); }
+
+   /**
+    * @returns {string[]} The IDs of detached tabs.
+    */
+   get detached() { return [...this.#detached.keys()]; }
+
+   /**
+    * @returns {HTMLElement} The tab bar element of the shell.
+    */
+   get elementTabBar() { return this.#elementTabBar; }
+
+   /**
+    * @returns {import('./types').ApplicationTabsStores} The tab stores.
+    */
+   get stores() { return this.#stores; }
+
+   /**
+    * @returns {import('./types').ApplicationTab[]} The declared tabs.
+    */
+   get tabs() { return get(this.#storeTabs); }
+
+   /**
+    * Sets the tab bar element; for internal use by the shell.
+    *
+    * @param {HTMLElement} element - Tab bar element.
+    *
+    * @package
+    * @internal
+    */
+   set elementTabBar(element)
+   {
+      this.#elementTabBar = element instanceof HTMLElement ? element : void 0;
+   }
+
+   /**
+    * Activates a tab. Detached tabs are focused in their window instead.
+    *
+    * @param {string}   id - Tab ID.
+    */
+   activate(id)
+   {
+      if (!this.tabs.some((tab) => tab.id === id)) { return; }
+
+      const tabWindow = this.#detached.get(id);
+
+      if (tabWindow)
+      {
+         tabWindow.bringToTop();
+         return;
+      }
+
+      this.#storeActive.set(id);
+   }
+
+   /**
+    * Reattaches a detached tab closing its window and activating the tab.
+    *
+    * @param {string}   id - Tab ID.
+    */
+   attach(id)
+   {
+      const tabWindow = this.#detached.get(id);
+
+      if (!tabWindow) { return; }
+
+      this.#detached.delete(id);
+      this.#storeDetached.set(this.detached);
+      this.#storeDropHover.set(false);
+
+      if (tabWindow.rendered) { tabWindow.close(); }
+
+      this.activate(id);
+   }
+
+   /**
+    * Closes all detached tab windows; invoked when the application closes.
+    *
+    * @returns {Promise<void>}
+    */
+   async closeDetached()
+   {
+      const windows = [...this.#detached.values()];
+
+      this.#detached.clear();
+      this.#storeDetached.set([]);
+
+      await Promise.allSettled(windows.map((tabWindow) => tabWindow.close()));
+   }
+
+   /**
+    * Detaches a tab into its own window. When the active tab is detached the next attached tab is activated.
+    *
+    * @param {string}   id - Tab ID.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {number}   [options.left] - Window left position.
+    *
+    * @param {number}   [options.top] - Window top position.
+    *
+    * @returns {import('../../SvelteApplication').SvelteApplication | undefined} The detached window.
+    */
+   detach(id, { left, top } = {})
+   {
+      const tab = this.tabs.find((entry) => entry.id === id);
+
+      if (!tab || !tab.detachable) { return void 0; }
+
+      if (this.#detached.has(id)) { return this.#detached.get(id); }
+
+      // Always keep one tab attached.
+      if (this.#detached.size >= this.tabs.length - 1) { return void 0; }
+
+      const content = this.#application.elementContent;
+
+      const tabWindow = this.#createWindow({
+         id: `${this.#application.id}-tab-${id}`,
+         title: tab.label,
+         resizable: true,
+         width: content?.offsetWidth || 400,
+         height: (content?.offsetHeight || 300) + 30,
+         left: Number.isFinite(left) ? left : void 0,
+         top: Number.isFinite(top) ? top : void 0,
+         svelte: {
+            class: TJSTabWindowShell,
+            target: globalThis.document.body,
+            props: { parent: this.#application, tab }
+         }
+      });
+
+      this.#detached.set(id, tabWindow);
+      this.#storeDetached.set(this.detached);
+
+      if (this.active === id)
+      {
+         const next = get(this.#stores.visible)[0];
+         if (next) { this.#storeActive.set(next.id); }
+      }
+
+      tabWindow.render(true, { focus: true });
+
+      return tabWindow;
+   }
+
+   /**
+    * Determines if the given point in the coordinates of the application window is over the tab bar.
+    *
+    * @param {number}   x - Client X coordinate.
+    *
+    * @param {number}   y - Client Y coordinate.
+    *
+    * @returns {boolean} Whether the point is over the tab bar.
+    */
+   isOverTabBar(x, y)
+   {
+      const element = this.#elementTabBar;
+
+      if (!element?.isConnected || this.#application.reactive.minimized) { return false; }
+
+      const rect = element.getBoundingClientRect();
+
+      return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+   }
+
+   /**
+    * Updates the drop hover state displayed by the tab bar while a detached window is dragged; for internal use by
+    * detached windows.
+    *
+    * @param {boolean}  hover - Drop hover state.
+    *
+    * @package
+    * @internal
+    */
+   setDropHover(hover)
+   {
+      this.#storeDropHover.set(hover);
+   }
+
+   /**
+    * Sets the declared tabs; for internal use by the shell. The active tab is restored from session storage.
+    *
+    * @param {import('./types').ApplicationTab[]} tabs - Tab data.
+    *
+    * @package
+    * @internal
+    */
+   setTabs(tabs)
+   {
+      if (!Array.isArray(tabs)) { throw new TypeError(`ApplicationTabs.setTabs error: 'tabs' is not an array.`); }
+
+      const normalized = [];
+
+      for (const tab of tabs)
+      {
+         if (!isObject(tab) || typeof tab.id !== 'string')
+         {
+            throw new TypeError(`ApplicationTabs.setTabs error: 'tab.id' is not a string.`);
+         }
+
+         if (!TJSSvelteConfigUtil.isConfig(tab.svelte))
+         {
+            throw new TypeError(`ApplicationTabs.setTabs error: 'tab.svelte' for '${tab.id}' is not a Svelte config.`);
+         }
+
+         normalized.push({
+            ...tab,
+            label: typeof tab.label === 'string' ? tab.label : tab.id,
+            detachable: typeof tab.detachable === 'boolean' ? tab.detachable : true
+         });
+      }
+
+      this.#storeTabs.set(normalized);
+
+      // Reset an unknown or detached active tab.
+      const visible = get(this.#stores.visible);
+
+      if (visible.length && !visible.some((tab) => tab.id === this.active)) { this.#storeActive.set(visible[0].id); }
+   }
+}
@@ -0,0 +1,67 @@
+import type {
+   Readable,
+   Writable }                    from 'svelte/store';
+
+import type { TJSSvelteConfig }  from '#runtime/svelte/util';
+
+/**
+ * Defines a tab of {@link TJSTabbedApplicationShell}.
+ */
+type ApplicationTab = {
+   /**
+    * Unique tab ID.
+    */
+   id: string;
+
+   /**
+    * Tab label; default: the tab ID.
+    */
+   label?: string;
+
+   /**
+    * Icon class or fully formed HTML.
+    */
+   icon?: string;
+
+   /**
+    * Svelte config of the tab content; mounted when the tab is first activated.
+    */
+   svelte: TJSSvelteConfig;
+
+   /**
+    * When true the tab may be dragged out into its own window; default: `true`.
+    */
+   detachable?: boolean;
+};
+
+/**
+ * Provides the stores of {@link ApplicationTabs}.
+ */
+type ApplicationTabsStores = {
+   /**
+    * The active tab ID persisted in session storage.
+    */
+   active: Writable<string>;
+
+   /**
+    * The IDs of detached tabs.
+    */
+   detached: Readable<string[]>;
+
+   /**
+    * True while a detached window is dragged over the tab bar.
+    */
+   dropHover: Readable<boolean>;
+
+   /**
+    * All declared tabs.
+    */
+   tabs: Readable<ApplicationTab[]>;
+
+   /**
+    * Tabs that are not detached.
+    */
+   visible: Readable<ApplicationTab[]>;
+};
+
+export { ApplicationTab, ApplicationTabsStores }
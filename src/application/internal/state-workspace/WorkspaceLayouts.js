@@ -0,0 +1,122 @@
+/**
+ * Provides the built-in layout functions for {@link TJSWorkspace}. Each layout function receives the apps to arrange,
+ * the available viewport area and layout options returning position data for each app in the same order.
+ */
+export class WorkspaceLayouts
+{
+   /**
+    * Cascades apps diagonally from the top left of the available area keeping their current size. When the next app
+    * would extend past the available area the cascade restarts from the top left.
+    *
+    * @param {import('#svelte-fvtt/application').SvelteApplication[]}   apps - Apps to arrange.
+    *
+    * @param {import('./types').WorkspaceBounds}   bounds - Available viewport area.
+    *
+    * @param {import('./types').WorkspaceLayoutOptions}   options - Layout options.
+    *
+    * @returns {import('./types').WorkspacePosition[]} Position data for each app.
+    */
+   static cascade(apps, bounds, { gap, offset })
+   {
+      const result = [];
+
+      let left = bounds.left + gap;
+      let top = bounds.top + gap;
+
+      for (const app of apps)
+      {
+         const el = app.elementTarget;
+         const width = typeof app.position.width === 'number' ? app.position.width : el?.offsetWidth ?? 0;
+         const height = typeof app.position.height === 'number' ? app.position.height : el?.offsetHeight ?? 0;
+
+         if (left + width > bounds.right || top + height > bounds.bottom)
+         {
+            left = bounds.left + gap;
+            top = bounds.top + gap;
+         }
+
+         result.push({ left, top });
+
+         left += offset;
+         top += offset;
+      }
+
+      return result;
+   }
+
+   /**
+    * Arranges apps side by side in equal width columns filling the height of the available area.
+    *
+    * @param {import('#svelte-fvtt/application').SvelteApplication[]}   apps - Apps to arrange.
+    *
+    * @param {import('./types').WorkspaceBounds}   bounds - Available viewport area.
+    *
+    * @param {import('./types').WorkspaceLayoutOptions}   options - Layout options.
+    *
+    * @returns {import('./types').WorkspacePosition[]} Position data for each app.
+    */
+   static columns(apps, bounds, { gap })
+   {
+      return WorkspaceLayouts.#cells(apps.length, apps.length, 1, bounds, gap);
+   }
+
+   /**
+    * Arranges apps in a grid of equal sized cells with the number of columns being the square root of the app count
+    * rounded up.
+    *
+    * @param {import('#svelte-fvtt/application').SvelteApplication[]}   apps - Apps to arrange.
+    *
+    * @param {import('./types').WorkspaceBounds}   bounds - Available viewport area.
+    *
+    * @param {import('./types').WorkspaceLayoutOptions}   options - Layout options.
+    *
+    * @returns {import('./types').WorkspacePosition[]} Position data for each app.
+    */
+   static grid(apps, bounds, { gap })
+   {
+      const columns = Math.ceil(Math.sqrt(apps.length));
+      const rows = Math.ceil(apps.length / columns);
+
+      return WorkspaceLayouts.#cells(apps.length, columns, rows, bounds, gap);
+   }
+
+   /**
+    * Divides the available area into equal sized cells filled row by row.
+    *
+    * @param {number}   count - Number of cells to return.
+    *
+    * @param {number}   columns - Number of columns.
+    *
+    * @param {number}   rows - Number of rows.
+    *
+    * @param {import('./types').WorkspaceBounds}   bounds - Available viewport area.
+    *
+    * @param {number}   gap - Gap between cells and the edges of the available area.
+    *
+    * @returns {import('./types').WorkspacePosition[]} Position data for each cell.
+    */
+   static #cells(count, columns, rows, bounds, gap)
+   {
+      const result = [];
+
+      if (count === 0) { return result; }
+
+      const width = Math.floor((bounds.right - bounds.left - (gap * (columns + 1))) / columns);
+      const height = Math.floor((bounds.bottom - bounds.top - (gap * (rows + 1))) / rows);
+
+      for (let index = 0; index < count; index++)
+      {
+         const column = index % columns;
+         const row = Math.floor(index / columns);
+
+         result.push({
+            left: bounds.left + gap + (column * (width + gap)),
+            top: bounds.top + gap + (row * (height + gap)),
+            width,
+            height
+         });
+      }
+
+      return result;
+   }
+}
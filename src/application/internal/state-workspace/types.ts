@@ -0,0 +1,138 @@
+import type { SvelteApplication } from '../../SvelteApplication';
+
+/**
+ * Defines a factory function that creates an app to open when recalling a saved workspace layout. Return the app
+ * instance without rendering it.
+ */
+type WorkspaceAppFactory = () => SvelteApplication | Promise<SvelteApplication>;
+
+/**
+ * Saved position, stacking and minimized state for an app in a saved workspace layout.
+ */
+type WorkspaceAppData = {
+   /**
+    * App ID.
+    */
+   id: string;
+
+   /**
+    * Position when not minimized.
+    */
+   position: WorkspacePosition;
+
+   /**
+    * The z-index at the time of saving used to restore stacking order.
+    */
+   zIndex: number;
+
+   /**
+    * Minimized state.
+    */
+   minimized: boolean;
+};
+
+/**
+ * Options for {@link TJSWorkspace.arrange} and {@link TJSWorkspace.recall}.
+ */
+type WorkspaceArrangeOptions = {
+   /**
+    * When true transitions are animated; default: `true`.
+    */
+   animate?: boolean;
+
+   /**
+    * Apps to arrange; default: all visible non-minimized apps from `TJSAppIndex`. Ignored when recalling a saved layout.
+    */
+   apps?: Iterable<SvelteApplication>;
+
+   /**
+    * The available area to arrange apps in; default: the browser viewport excluding the Foundry sidebar.
+    */
+   bounds?: WorkspaceBounds;
+
+   /**
+    * Provide `GsapCompose` to animate transitions with GSAP instead of `TJSPosition.Animate`.
+    */
+   composer?: { to: (target: object, vars: object) => object };
+
+   /**
+    * Animation duration in seconds; default: `0.4`.
+    */
+   duration?: number;
+
+   /**
+    * Animation easing passed to `TJSPosition.Animate` or GSAP.
+    */
+   ease?: string | ((time: number) => number);
+} & Partial<WorkspaceLayoutOptions>;
+
+/**
+ * Defines an area of the browser viewport.
+ */
+type WorkspaceBounds = {
+   left: number;
+   top: number;
+   right: number;
+   bottom: number;
+};
+
+/**
+ * Defines a layout function that returns position data for each app in the same order as the given apps. Return
+ * `null` / `undefined` for an entry to leave an app in place.
+ */
+type WorkspaceLayoutFn = (apps: SvelteApplication[], bounds: WorkspaceBounds, options: WorkspaceLayoutOptions) =>
+ (WorkspacePosition | null | undefined)[];
+
+/**
+ * Options passed to layout functions. Any additional options given to {@link TJSWorkspace.arrange} are also passed
+ * to custom layout functions.
+ */
+type WorkspaceLayoutOptions = {
+   /**
+    * Gap in pixels between apps and the edges of the available area; default: `8`.
+    */
+   gap: number;
+
+   /**
+    * Offset in pixels between cascaded apps; default: `30`.
+    */
+   offset: number;
+
+   [key: string]: any;
+};
+
+/**
+ * Position data returned from layout functions.
+ */
+type WorkspacePosition = {
+   left: number;
+   top: number;
+   width?: number;
+   height?: number;
+};
+
+/**
+ * Serialized workspace layout saved by {@link TJSWorkspace.save}.
+ */
+type WorkspaceSavedLayout = {
+   /**
+    * Data format version.
+    */
+   version: number;
+
+   /**
+    * All apps open when the layout was saved.
+    */
+   apps: WorkspaceAppData[];
+};
+
+export {
+   WorkspaceAppData,
+   WorkspaceAppFactory,
+   WorkspaceArrangeOptions,
+   WorkspaceBounds,
+   WorkspaceLayoutFn,
+   WorkspaceLayoutOptions,
+   WorkspacePosition,
+   WorkspaceSavedLayout
+}
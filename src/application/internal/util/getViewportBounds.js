@@ -0,0 +1,30 @@
+/**
+ * Returns the area of the given window available to position applications. When `sidebar` is true and the Foundry
+ * sidebar is visible in the given window the right bound is the left edge of the sidebar.
+ *
+ * @param {Window}   [activeWindow=globalThis] - The window to measure.
+ *
+ * @param {object}   [opts] - Optional parameters.
+ *
+ * @param {boolean}  [opts.sidebar=true] - When true the Foundry sidebar is excluded from the available area.
+ *
+ * @returns {{ left: number, top: number, right: number, bottom: number }} Available viewport area.
+ */
+export function getViewportBounds(activeWindow = globalThis, { sidebar = true } = {})
+{
+   const bounds = { left: 0, top: 0, right: activeWindow.innerWidth, bottom: activeWindow.innerHeight };
+
+   // The Foundry sidebar is only present in the main browser window.
+   if (sidebar && activeWindow === globalThis)
+   {
+      const el = globalThis.ui?.sidebar?.element?.[0];
+
+      if (el instanceof HTMLElement)
+      {
+         const rect = el.getBoundingClientRect();
+         if (rect.width > 0) { bounds.right = rect.left; }
+      }
+   }
+
+   return bounds;
+}
@@ -1,3 +1,4 @@
+export * from './getViewportBounds.js';
 export * from './isApplicationShell.js';
 export * from './loadSvelteConfig.js';
 
@@ -56,11 +56,14 @@ export function loadSvelteConfig({ app, template, config, elementRootUpdate } =
 
    const externalContext = svelteConfig.context.get('#external');
 
-   // Inject the Foundry application instance and `elementRootUpdate` to the external context.
+   // Inject the Foundry application instance, `elementRootUpdate` and notification center to the external context.
    externalContext.application = app;
    externalContext.elementRootUpdate = elementRootUpdate;
    externalContext.sessionStorage = app.reactive.sessionStorage;
 
+   // The notification center of the app is created on first use.
+   Object.defineProperty(externalContext, 'notifications', { get: () => app.notifications, enumerable: true });
+
    let eventbus;
 
    // Potentially inject any TyphonJS eventbus and track the proxy in the SvelteData instance.
@@ -176,6 +176,8 @@ export class SvelteFormApplication extends FormApplication
          focusTrap: true,                 // When true focus trapping / wrapping is enabled keeping focus inside app.
          headerButtonNoClose: false,      // If true then the close header button is removed.
          headerButtonNoLabel: false,      // If true then header button labels are removed for application shells.
+         headerButtonOverflow: true,      // If true then header buttons that do not fit overflow into a menu.
+         headerButtonReorder: false,      // If true then header buttons can be reordered by dragging.
          headerIcon: void 0,              // Sets a header icon given an image URL.
          headerNoTitleMinimized: false,   // If true then header title is hidden when application is minimized.
          minHeight: MIN_WINDOW_HEIGHT,    // Assigned to position. Number specifying minimum window height.
@@ -184,6 +186,7 @@ export class SvelteFormApplication extends FormApplication
          positionInitial: TJSPosition.Initial.browserCentered,      // A helper for initial position placement.
          positionOrtho: true,             // When true TJSPosition is optimized for orthographic use.
          positionValidator: TJSPosition.Validators.transformWindow, // A function providing the default validator.
+         resizeOptions: void 0,           // Resize edges, aspect ratio, size grid and keyboard step for resizable apps.
          sessionStorage: void 0,          // An instance of TJSWebStorage (session) to share across SvelteApplications.
          suppressFormInit: false,         // If true automatic suppression of core FormApplication methods is enabled.
          svelte: void 0,                  // A Svelte configuration object.
@@ -858,15 +861,23 @@ export class SvelteFormApplication extends FormApplication
       // Set all header buttons besides close and the window title to display none.
       for (let cntr = header.children.length; --cntr >= 0;)
       {
-         const className = header.children[cntr].className;
+         // Header buttons are wrapped by `display: contents` elements; check the wrapped button classes.
+         const wrapped = header.children[cntr].classList.contains('tjs-header-button-item');
 
-         if (className.includes('window-title') || className.includes('close')) { continue; }
+         const className = wrapped ? header.children[cntr].firstElementChild?.className ?? '' :
+          header.children[cntr].className;
+
+         if (className.includes('window-title') || className.includes('close'))
+         {
+            if (wrapped) { header.children[cntr].style.display = 'contents'; }
+            continue;
+         }
 
          // v10+ of Foundry core styles automatically hides anything besides the window title and close button, so
          // explicitly set display to block.
          if (className.includes('keep-minimized'))
          {
-            header.children[cntr].style.display = 'block';
+            header.children[cntr].style.display = wrapped ? 'contents' : 'block';
             continue;
          }
 
@@ -0,0 +1,89 @@
+import { TJSLocalStorage } from '#runtime/svelte/store/web-storage';
+
+/**
+ * Persists user defined header button order per application class in local storage. Applications are identified by
+ * the `id` of the class `defaultOptions` falling back to the class name.
+ *
+ * @ignore
+ * @internal
+ */
+export class HeaderButtonOrder
+{
+   /**
+    * @type {TJSLocalStorage}
+    */
+   static #storage;
+
+   /**
+    * Applies a saved order to header buttons. Buttons with saved keys are placed in saved order into the positions
+    * occupied by buttons with saved keys; all other buttons remain in place.
+    *
+    * @template T
+    *
+    * @param {T[]}      entries - Header button entries.
+    *
+    * @param {string[]} order - Saved button keys.
+    *
+    * @param {(entry: T) => string} getKey - Returns the key of an entry.
+    *
+    * @returns {T[]} Ordered entries.
+    */
+   static apply(entries, order, getKey)
+   {
+      if (!Array.isArray(order) || order.length === 0) { return entries; }
+
+      const rank = new Map(order.map((key, i) => [key, i]));
+
+      const saved = entries.filter((entry) => rank.has(getKey(entry))).sort(
+       (a, b) => rank.get(getKey(a)) - rank.get(getKey(b)));
+
+      let index = 0;
+
+      return entries.map((entry) => rank.has(getKey(entry)) ? saved[index++] : entry);
+   }
+
+   /**
+    * @param {import('#svelte-fvtt/application').SvelteApplication} application - Application.
+    *
+    * @returns {string} Storage key for the application class.
+    */
+   static getKey(application)
+   {
+      const appClass = application.constructor;
+      const id = appClass.defaultOptions?.id;
+
+      return `trl-header-buttons-${typeof id === 'string' && id.length ? id : appClass.name}`;
+   }
+
+   /**
+    * @param {string}   key - Storage key.
+    *
+    * @returns {string[]} Saved button keys.
+    */
+   static load(key)
+   {
+      const order = this.#getStorage().getItem(key);
+
+      return Array.isArray(order) ? order : [];
+   }
+
+   /**
+    * @param {string}   key - Storage key.
+    *
+    * @param {string[]} order - Button keys to save; an empty array resets the order.
+    */
+   static save(key, order)
+   {
+      this.#getStorage().setItem(key, Array.isArray(order) ? order : []);
+   }
+
+   /**
+    * @returns {TJSLocalStorage} Lazily created storage.
+    */
+   static #getStorage()
+   {
+      if (!this.#storage) { this.#storage = new TJSLocalStorage(); }
+
+      return this.#storage;
+   }
+}
@@ -0,0 +1,189 @@
+import { get }               from '#svelte/store';
+
+import { A11yHelper }        from '#runtime/util/browser';
+import { isObject }          from '#runtime/util/object';
+import { isWritableStore }   from '#runtime/util/store';
+
+import { TJSContextMenu }    from '../context-menu/TJSContextMenu.js';
+
+/**
+ * Provides the shared behavior of header button types used by `TJSHeaderButton` and the header overflow menu.
+ *
+ * - A toggle button defines `store`; a writable boolean store. Pressing the button toggles the store and when the
+ * store is `true` any `icon`, `label` or `title` defined in `toggled` replace the button data.
+ *
+ * - A dropdown button defines `items`; an array or function returning an array of menu items displayed in a
+ * {@link TJSContextMenu} when the button is pressed. Menu item `onPress` callbacks receive `{ button, item, event }`.
+ *
+ * @ignore
+ * @internal
+ */
+export class HeaderButtonUtil
+{
+   /**
+    * Returns the button data to display for the given toggle state.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @param {boolean}  toggled - Current toggle state.
+    *
+    * @returns {object} Header button data with any `toggled` overrides applied.
+    */
+   static getDisplay(button, toggled)
+   {
+      if (!toggled || !isObject(button?.toggled)) { return button; }
+
+      const display = { ...button };
+
+      for (const key of ['icon', 'label', 'title'])
+      {
+         if (typeof button.toggled[key] === 'string') { display[key] = button.toggled[key]; }
+      }
+
+      return display;
+   }
+
+   /**
+    * Resolves the menu items of a dropdown button. Items with a falsy `condition` or no `label` / `separator` are
+    * removed.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @returns {object[]} Menu items.
+    */
+   static getItems(button)
+   {
+      let items = button?.items;
+
+      if (typeof items === 'function') { items = items({ button }); }
+
+      if (!Array.isArray(items)) { return []; }
+
+      return items.filter((item) =>
+      {
+         if (!isObject(item)) { return false; }
+
+         const condition = typeof item.condition === 'function' ? item.condition({ button, item }) : item.condition;
+
+         if (condition !== void 0 && !condition) { return false; }
+
+         return item.separator === true || typeof item.label === 'string';
+      });
+   }
+
+   /**
+    * Creates the context menu items of a dropdown button. Pressing an item invokes {@link HeaderButtonUtil.pressItem}.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @returns {import('../context-menu/types').TJSContextMenuItem[]} Context menu items.
+    */
+   static getMenuItems(button)
+   {
+      // Conditions are already resolved by `getItems`.
+      return this.getItems(button).map((item) => item.separator ? item : {
+         ...item,
+         condition: void 0,
+         onPress: ({ event }) => this.pressItem(button, item, event)
+      });
+   }
+
+   /**
+    * @param {object}   button - Header button data.
+    *
+    * @returns {boolean} Whether the button is a dropdown button.
+    */
+   static isDropdown(button)
+   {
+      return Array.isArray(button?.items) || typeof button?.items === 'function';
+   }
+
+   /**
+    * @param {object}   button - Header button data.
+    *
+    * @returns {boolean} Whether the button is a toggle button.
+    */
+   static isToggle(button)
+   {
+      return isWritableStore(button?.store);
+   }
+
+   /**
+    * Opens the items of a dropdown button in a context menu below the anchor element.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {HTMLElement}    [options.anchor] - The element the menu is positioned below; a pointer down on the anchor
+    *        does not close the menu.
+    *
+    * @param {Window}   [options.activeWindow=globalThis] - The window to display the menu in.
+    *
+    * @param {Event}    [options.event] - Triggering event.
+    *
+    * @param {HTMLElement}    [options.focusEl=anchor] - The element focused when the menu closes.
+    *
+    * @param {() => void}     [options.onClose] - Invoked when the menu closes.
+    *
+    * @returns {boolean} Whether the menu was opened.
+    */
+   static openMenu(button, { anchor, activeWindow = globalThis, event, focusEl = anchor, onClose } = {})
+   {
+      const items = this.getMenuItems(button);
+
+      if (items.length === 0) { return false; }
+
+      const rect = anchor?.getBoundingClientRect();
+
+      TJSContextMenu.create({
+         items,
+         x: rect?.left ?? 0,
+         y: rect?.bottom ?? 0,
+         activeWindow,
+         anchor,
+         focusSource: focusEl || event ? A11yHelper.getFocusSource({ event, focusEl }) : void 0,
+         onClose
+      });
+
+      return true;
+   }
+
+   /**
+    * Presses a header button. A toggle button store is toggled before invoking `onPress` / `onclick` with the new
+    * value.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @param {Event}    [event] - Triggering event.
+    */
+   static press(button, event)
+   {
+      let value;
+
+      if (this.isToggle(button))
+      {
+         value = !get(button.store);
+         button.store.set(value);
+      }
+
+      // Accept `onPress or `onclick` as the function / data to invoke. `onclick` is from Foundry defined buttons.
+      const invoke = button?.onPress ?? button?.onclick;
+
+      if (typeof invoke === 'function') { invoke(value !== void 0 ? { button, event, value } : { button, event }); }
+   }
+
+   /**
+    * Invokes the `onPress` callback of a dropdown menu item.
+    *
+    * @param {object}   button - Header button data.
+    *
+    * @param {object}   item - Menu item.
+    *
+    * @param {Event}    [event] - Triggering event.
+    */
+   static pressItem(button, item, event)
+   {
+      if (typeof item?.onPress === 'function') { item.onPress({ button, item, event }); }
+   }
+}
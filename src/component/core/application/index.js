@@ -1,4 +1,5 @@
-export { default as ApplicationShell }       from './ApplicationShell.svelte';
-export { default as EmptyApplicationShell }  from './EmptyApplicationShell.svelte';
-export { default as TJSApplicationShell }    from './TJSApplicationShell.svelte';
-export { default as TJSFocusWrap }           from './TJSFocusWrap.svelte';
+export { default as ApplicationShell }          from './ApplicationShell.svelte';
+export { default as EmptyApplicationShell }     from './EmptyApplicationShell.svelte';
+export { default as TJSApplicationShell }       from './TJSApplicationShell.svelte';
+export { default as TJSFocusWrap }              from './TJSFocusWrap.svelte';
+export { default as TJSTabbedApplicationShell } from './TJSTabbedApplicationShell.svelte';
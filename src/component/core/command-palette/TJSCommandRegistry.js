@@ -0,0 +1,255 @@
+import { isObject }          from '#runtime/util/object';
+
+import TJSCommandPalette     from './TJSCommandPalette.svelte';
+
+/**
+ * Provides the command registry for {@link TJSCommandPalette}. Command providers are functions registered by a unique
+ * ID that return the currently available commands each time the palette is opened. SvelteApplication registers a
+ * provider listing header buttons, app `commands` and focus / restore entries for all open apps.
+ *
+ * A Foundry keybinding to open the palette (`Ctrl+K` by default) is registered with
+ * {@link TJSCommandRegistry.registerKeybinding} during the `init` hook.
+ *
+ * @example
+ * TJSCommandRegistry.register('my-module', () => [
+ *    { id: 'my-module.roll', label: 'Roll Initiative', group: 'Combat', onExecute: () => game.combat?.rollAll() }
+ * ]);
+ *
+ * Hooks.once('init', () => TJSCommandRegistry.registerKeybinding('my-module'));
+ */
+export class TJSCommandRegistry
+{
+   /**
+    * The currently mounted palette.
+    *
+    * @type {TJSCommandPalette}
+    */
+   static #palette;
+
+   /**
+    * @type {Map<string, () => import('./types').TJSPaletteCommand[]>}
+    */
+   static #providers = new Map();
+
+   /**
+    * Characters that precede a word start.
+    *
+    * @type {RegExp}
+    */
+   static #wordSeparator = /[\s\-_:./]/;
+
+   /**
+    * @returns {boolean} Whether the palette is open.
+    */
+   static get opened() { return this.#palette !== void 0; }
+
+   /**
+    * Closes any open palette.
+    */
+   static close()
+   {
+      this.#palette?.$destroy();
+      this.#palette = void 0;
+   }
+
+   /**
+    * Collects the commands from all providers. Provider errors are logged and skipped.
+    *
+    * @returns {import('./types').TJSPaletteCommand[]} All available commands.
+    */
+   static getCommands()
+   {
+      const commands = [];
+
+      for (const [id, provider] of this.#providers)
+      {
+         try
+         {
+            const result = provider();
+
+            if (!Array.isArray(result)) { continue; }
+
+            for (const command of result)
+            {
+               if (isObject(command) && typeof command.label === 'string' && typeof command.onExecute === 'function')
+               {
+                  commands.push(command);
+               }
+            }
+         }
+         catch (err)
+         {
+            console.error(`[TRL] TJSCommandRegistry error: Command provider '${id}' failed.`, err);
+         }
+      }
+
+      return commands;
+   }
+
+   /**
+    * Opens the command palette in the given target element.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {HTMLElement} [options.target=document.body] - Target element.
+    *
+    * @param {string}   [options.placeholder] - Search input placeholder.
+    *
+    * @param {number}   [options.limit] - Maximum number of displayed commands.
+    */
+   static open({ target = globalThis.document.body, placeholder, limit } = {})
+   {
+      if (this.#palette) { return; }
+
+      const props = {};
+      if (placeholder !== void 0) { props.placeholder = placeholder; }
+      if (limit !== void 0) { props.limit = limit; }
+
+      this.#palette = new TJSCommandPalette({ target, props });
+      this.#palette.$on('close', () => this.close());
+   }
+
+   /**
+    * Registers a command provider.
+    *
+    * @param {string}   id - Unique provider ID.
+    *
+    * @param {() => import('./types').TJSPaletteCommand[]}  provider - Returns the currently available commands.
+    */
+   static register(id, provider)
+   {
+      if (typeof id !== 'string') { throw new TypeError(`TJSCommandRegistry.register error: 'id' is not a string.`); }
+
+      if (typeof provider !== 'function')
+      {
+         throw new TypeError(`TJSCommandRegistry.register error: 'provider' is not a function.`);
+      }
+
+      this.#providers.set(id, provider);
+   }
+
+   /**
+    * Registers a Foundry keybinding that toggles the command palette. This must be invoked during the `init` hook.
+    *
+    * @param {string}   namespace - The module or system ID that registers the keybinding.
+    *
+    * @param {{ key: string, modifiers?: string[] }[]} [keys] - Default key chords; default: `Ctrl+K`.
+    */
+   static registerKeybinding(namespace, keys = [{ key: 'KeyK', modifiers: ['Control'] }])
+   {
+      globalThis.game.keybindings.register(namespace, 'commandPalette', {
+         name: 'Command Palette',
+         hint: 'Search and execute actions of all open windows.',
+         editable: keys,
+         onDown: () =>
+         {
+            if (this.opened) { this.close(); }
+            else { this.open(); }
+
+            return true;
+         }
+      });
+   }
+
+   /**
+    * Fuzzy searches commands by label, group and keywords. Characters of the query must appear in order; matches of
+    * consecutive characters and at word starts rank higher. An empty query returns all commands in order.
+    *
+    * @param {string}   query - Search query.
+    *
+    * @param {import('./types').TJSPaletteCommand[]}  [commands] - Commands to search; default: all commands.
+    *
+    * @returns {import('./types').TJSPaletteMatch[]} Matching commands sorted by score.
+    */
+   static search(query, commands = this.getCommands())
+   {
+      const normalized = typeof query === 'string' ? query.trim().toLowerCase() : '';
+
+      if (normalized.length === 0) { return commands.map((command) => ({ command, score: 0, indices: [] })); }
+
+      const matches = [];
+
+      for (const command of commands)
+      {
+         const labelMatch = this.#score(normalized, command.label);
+
+         // Also match against the group prefixed label and keywords with a lower score.
+         let best = labelMatch;
+
+         const alternates = [
+            typeof command.group === 'string' ? `${command.group} ${command.label}` : void 0,
+            ...(Array.isArray(command.keywords) ? command.keywords : [])
+         ];
+
+         for (const alternate of alternates)
+         {
+            if (typeof alternate !== 'string') { continue; }
+
+            const alternateMatch = this.#score(normalized, alternate);
+
+            if (alternateMatch && (!best || alternateMatch.score / 2 > best.score))
+            {
+               best = { score: alternateMatch.score / 2, indices: [] };
+            }
+         }
+
+         if (best) { matches.push({ command, score: best.score, indices: best.indices }); }
+      }
+
+      return matches.sort((a, b) => b.score - a.score);
+   }
+
+   /**
+    * Removes a command provider.
+    *
+    * @param {string}   id - Provider ID.
+    *
+    * @returns {boolean} Whether the provider was removed.
+    */
+   static unregister(id)
+   {
+      return this.#providers.delete(id);
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Scores a subsequence match of the query in the given text.
+    *
+    * @param {string}   query - Lower case query.
+    *
+    * @param {string}   text - Text to match.
+    *
+    * @returns {{ score: number, indices: number[] } | null} Score and matched character indices or null.
+    */
+   static #score(query, text)
+   {
+      const lower = text.toLowerCase();
+
+      const indices = [];
+
+      let score = 0;
+      let last = -1;
+
+      for (const char of query)
+      {
+         const index = lower.indexOf(char, last + 1);
+
+         if (index < 0) { return null; }
+
+         score += 1;
+
+         // Consecutive characters.
+         if (index === last + 1) { score += 2; }
+
+         // Word start.
+         if (index === 0 || this.#wordSeparator.test(lower[index - 1])) { score += 3; }
+
+         indices.push(index);
+         last = index;
+      }
+
+      // Prefer shorter texts for equal matches.
+      return { score: score - (lower.length * 0.01), indices };
+   }
+}
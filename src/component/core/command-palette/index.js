@@ -0,0 +1,2 @@
+export { default as TJSCommandPalette }   from './TJSCommandPalette.svelte';
+export *                                  from './TJSCommandRegistry.js';
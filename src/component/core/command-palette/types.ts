@@ -0,0 +1,61 @@
+/**
+ * Defines a command listed by {@link TJSCommandPalette}.
+ */
+type TJSPaletteCommand = {
+   /**
+    * Unique command ID.
+    */
+   id?: string;
+
+   /**
+    * Displayed label that is searched.
+    */
+   label: string;
+
+   /**
+    * Group name displayed after the label; IE the app title.
+    */
+   group?: string;
+
+   /**
+    * Icon CSS class.
+    */
+   icon?: string;
+
+   /**
+    * Short hint displayed after the label such as a key chord.
+    */
+   hint?: string;
+
+   /**
+    * Additional search terms.
+    */
+   keywords?: string[];
+
+   /**
+    * Invoked when the command is executed.
+    */
+   onExecute: () => any;
+};
+
+/**
+ * Defines a search result from {@link TJSCommandRegistry.search}.
+ */
+type TJSPaletteMatch = {
+   /**
+    * The matched command.
+    */
+   command: TJSPaletteCommand;
+
+   /**
+    * Match score; higher is better.
+    */
+   score: number;
+
+   /**
+    * Matched label character indices.
+    */
+   indices: number[];
+};
+
+export { TJSPaletteCommand, TJSPaletteMatch }
@@ -0,0 +1,245 @@
+import { A11yHelper }        from '#runtime/util/browser';
+import { isObject }          from '#runtime/util/object';
+
+import TJSContextMenuImpl    from './TJSContextMenuImpl.svelte';
+
+/**
+ * Provides a Svelte native context menu with nested submenus, keyboard navigation, conditional items and icons. Only
+ * one context menu is open at a time. The menu is mounted in the document of `activeWindow` and positioned inside
+ * its viewport, so menus display correctly in PopOut windows when `SvelteReactive.activeWindow` is provided.
+ *
+ * The menu closes when an item is pressed, on `Escape` / `Tab`, on a pointer down outside the menu or when the
+ * active window loses focus. Focus is then returned to the focus source.
+ *
+ * The `contextMenu` Svelte action opens a menu on the `contextmenu` event of an element.
+ *
+ * @example
+ * TJSContextMenu.create({
+ *    x: event.clientX,
+ *    y: event.clientY,
+ *    activeWindow: application.reactive.activeWindow,
+ *    items: [
+ *       { label: 'Edit', icon: 'fas fa-edit', onPress: () => item.sheet.render(true) },
+ *       { label: 'Delete', icon: 'fas fa-trash', condition: () => item.isOwner, onPress: () => item.delete() },
+ *       { separator: true },
+ *       { label: 'Move To', items: [{ label: 'Backpack', onPress: () => move('backpack') }] }
+ *    ]
+ * });
+ */
+export class TJSContextMenu
+{
+   /**
+    * The window of the open menu.
+    *
+    * @type {Window}
+    */
+   static #activeWindow;
+
+   /**
+    * An element that does not close the menu on pointer down.
+    *
+    * @type {HTMLElement}
+    */
+   static #anchor;
+
+   /**
+    * Focus source applied when the menu closes.
+    *
+    * @type {object}
+    */
+   static #focusSource;
+
+   /**
+    * The open menu.
+    *
+    * @type {TJSContextMenuImpl}
+    */
+   static #menu;
+
+   /**
+    * Invoked when the menu closes.
+    *
+    * @type {Function}
+    */
+   static #onClose;
+
+   /**
+    * @returns {boolean} Whether a context menu is open.
+    */
+   static get opened() { return this.#menu !== void 0; }
+
+   /**
+    * Closes any open context menu and applies the focus source.
+    */
+   static close()
+   {
+      if (!this.#menu) { return; }
+
+      const activeWindow = this.#activeWindow;
+      const focusSource = this.#focusSource;
+      const onClose = this.#onClose;
+
+      activeWindow.removeEventListener('pointerdown', this.#onPointerdown, { capture: true });
+      activeWindow.removeEventListener('blur', this.#onBlur);
+
+      this.#menu.$destroy();
+
+      this.#activeWindow = void 0;
+      this.#anchor = void 0;
+      this.#focusSource = void 0;
+      this.#menu = void 0;
+      this.#onClose = void 0;
+
+      if (focusSource) { A11yHelper.applyFocusSource(focusSource); }
+
+      if (typeof onClose === 'function') { onClose(); }
+   }
+
+   /**
+    * Opens a context menu closing any open menu.
+    *
+    * @param {import('./types').TJSContextMenuOptions} options - Options.
+    */
+   static create({ items, x = 0, y = 0, activeWindow = globalThis, zIndex = Number.MAX_SAFE_INTEGER, anchor,
+    focusSource, onClose } = {})
+   {
+      if (!Array.isArray(items)) { throw new TypeError(`TJSContextMenu.create error: 'items' is not an array.`); }
+
+      if (!Number.isFinite(x)) { throw new TypeError(`TJSContextMenu.create error: 'x' is not a finite number.`); }
+      if (!Number.isFinite(y)) { throw new TypeError(`TJSContextMenu.create error: 'y' is not a finite number.`); }
+
+      if (typeof activeWindow?.document?.body !== 'object')
+      {
+         throw new TypeError(`TJSContextMenu.create error: 'activeWindow' is not a window.`);
+      }
+
+      this.close();
+
+      if (this.resolveItems(items).length === 0) { return; }
+
+      this.#activeWindow = activeWindow;
+      this.#anchor = anchor;
+      this.#focusSource = focusSource;
+      this.#onClose = onClose;
+
+      this.#menu = new TJSContextMenuImpl({
+         target: activeWindow.document.body,
+         props: { items, x, y, activeWindow, zIndex }
+      });
+
+      this.#menu.$on('close', () => this.close());
+
+      activeWindow.addEventListener('pointerdown', this.#onPointerdown, { capture: true });
+      activeWindow.addEventListener('blur', this.#onBlur);
+   }
+
+   /**
+    * Filters items by `condition` and removes leading, trailing and repeated separators.
+    *
+    * @param {import('./types').TJSContextMenuItem[]} items - Menu items.
+    *
+    * @returns {import('./types').TJSContextMenuItem[]} Displayed items.
+    */
+   static resolveItems(items)
+   {
+      const resolved = [];
+
+      if (!Array.isArray(items)) { return resolved; }
+
+      for (const item of items)
+      {
+         if (!isObject(item)) { continue; }
+
+         if (typeof item.condition === 'function' && !item.condition()) { continue; }
+         if (typeof item.condition === 'boolean' && !item.condition) { continue; }
+
+         if (item.separator)
+         {
+            if (resolved.length && !resolved[resolved.length - 1].separator) { resolved.push(item); }
+            continue;
+         }
+
+         if (typeof item.label !== 'string') { continue; }
+
+         // Skip submenus without displayed items.
+         if (Array.isArray(item.items) && this.resolveItems(item.items).length === 0) { continue; }
+
+         resolved.push(item);
+      }
+
+      if (resolved[resolved.length - 1]?.separator) { resolved.pop(); }
+
+      return resolved;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Closes the menu when the active window loses focus.
+    */
+   static #onBlur = () => { this.close(); };
+
+   /**
+    * Closes the menu on a pointer down outside the menu.
+    *
+    * @param {PointerEvent}   event - Pointer event.
+    */
+   static #onPointerdown = (event) =>
+   {
+      if (event.target?.closest?.('.tjs-context-menu') || this.#anchor?.contains(event.target)) { return; }
+
+      // Don't restore focus when another element is being interacted with.
+      this.#focusSource = void 0;
+      this.close();
+   };
+}
+
+/**
+ * Provides a Svelte action that opens a context menu on the `contextmenu` event of the element. The menu is displayed
+ * in the window the element is in; the active window of the optional `application` or `activeWindow` option is
+ * preferred.
+ *
+ * @example
+ * <li use:contextMenu={{ application, items: () => getItems(entry) }}>
+ *
+ * @param {HTMLElement}    node - Target element.
+ *
+ * @param {import('./types').TJSContextMenuActionOptions}  options - Action options.
+ *
+ * @returns {import('svelte/action').ActionReturn<import('./types').TJSContextMenuActionOptions>} Lifecycle functions.
+ */
+export function contextMenu(node, options)
+{
+   let current = options;
+
+   /**
+    * @param {MouseEvent}  event - Context menu event.
+    */
+   function onContextmenu(event)
+   {
+      const items = typeof current?.items === 'function' ? current.items(event) : current?.items;
+
+      if (!Array.isArray(items)) { return; }
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      const activeWindow = current?.activeWindow ?? current?.application?.reactive?.activeWindow ??
+       node.ownerDocument.defaultView;
+
+      const focusSource = A11yHelper.getFocusSource({ event, focusEl: node });
+
+      // Keyboard invoked context menus open at the focused element.
+      const x = Number.isFinite(focusSource?.x) && event.clientX === 0 ? focusSource.x : event.clientX;
+      const y = Number.isFinite(focusSource?.y) && event.clientY === 0 ? focusSource.y : event.clientY;
+
+      TJSContextMenu.create({ items, x, y, activeWindow, zIndex: current?.zIndex, focusSource });
+   }
+
+   node.addEventListener('contextmenu', onContextmenu);
+
+   return {
+      update: (newOptions) => current = newOptions,
+      destroy: () => node.removeEventListener('contextmenu', onContextmenu)
+   };
+}
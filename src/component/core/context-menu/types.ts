@@ -0,0 +1,123 @@
+import type { TJSContextMenu }  from './TJSContextMenu';
+
+/**
+ * Defines an item of {@link TJSContextMenu}.
+ */
+type TJSContextMenuItem = {
+   /**
+    * Item label; localized.
+    */
+   label?: string;
+
+   /**
+    * Font Awesome icon classes or HTML.
+    */
+   icon?: string;
+
+   /**
+    * Invoked when the item is pressed.
+    */
+   onPress?: (data: { item: TJSContextMenuItem, event: Event }) => void;
+
+   /**
+    * When false or returning false the item is not displayed.
+    */
+   condition?: boolean | (() => boolean);
+
+   /**
+    * When defined the item is displayed as a checkbox item.
+    */
+   checked?: boolean;
+
+   /**
+    * When true the item is disabled.
+    */
+   disabled?: boolean;
+
+   /**
+    * Submenu items; `onPress` is ignored.
+    */
+   items?: TJSContextMenuItem[];
+
+   /**
+    * When true a separator is displayed instead of an item.
+    */
+   separator?: boolean;
+
+   /**
+    * Additional CSS classes of the item.
+    */
+   class?: string;
+};
+
+/**
+ * Defines the options of {@link TJSContextMenu.create}.
+ */
+type TJSContextMenuOptions = {
+   /**
+    * Menu items.
+    */
+   items: TJSContextMenuItem[];
+
+   /**
+    * X position in the coordinates of `activeWindow`.
+    */
+   x?: number;
+
+   /**
+    * Y position in the coordinates of `activeWindow`.
+    */
+   y?: number;
+
+   /**
+    * The window to display the menu in; default: `globalThis`.
+    */
+   activeWindow?: Window;
+
+   /**
+    * Menu z-index; default: `Number.MAX_SAFE_INTEGER`.
+    */
+   zIndex?: number;
+
+   /**
+    * An element that does not close the menu on pointer down; IE the button that toggles the menu.
+    */
+   anchor?: HTMLElement;
+
+   /**
+    * A focus source from `A11yHelper.getFocusSource` applied when the menu closes.
+    */
+   focusSource?: object;
+
+   /**
+    * Invoked when the menu closes.
+    */
+   onClose?: () => void;
+};
+
+/**
+ * Defines the options of the `contextMenu` action.
+ */
+type TJSContextMenuActionOptions = {
+   /**
+    * Menu items or a function returning the items when the menu opens.
+    */
+   items: TJSContextMenuItem[] | ((event: MouseEvent) => TJSContextMenuItem[]);
+
+   /**
+    * An application that provides the active window.
+    */
+   application?: { reactive: { activeWindow: Window } };
+
+   /**
+    * The window to display the menu in; overrides `application`.
+    */
+   activeWindow?: Window;
+
+   /**
+    * Menu z-index.
+    */
+   zIndex?: number;
+};
+
+export { TJSContextMenuActionOptions, TJSContextMenuItem, TJSContextMenuOptions }
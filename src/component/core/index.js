@@ -2,6 +2,10 @@ import { cssVariables } from './cssVariables.js';
 
 export { default as TJSGlassPane }        from './TJSGlassPane.svelte';
 export *                                  from './application/index.js';
+export *                                  from './command-palette/index.js';
+export *                                  from './context-menu/index.js';
+export *                                  from './notification/index.js';
+export *                                  from './split-pane/index.js';
 
 /**
  * Provides default CSS variables for core components.
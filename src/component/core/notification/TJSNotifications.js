@@ -0,0 +1,371 @@
+import {
+   get,
+   writable }                  from '#svelte/store';
+
+import { isObject }            from '#runtime/util/object';
+
+import TJSNotificationStack    from './TJSNotificationStack.svelte';
+
+/**
+ * Provides a notification center displaying stacked `info`, `warn`, `error` and `progress` toasts with auto-dismiss
+ * and action buttons. Unlike `ui.notifications` a notification center may be scoped to an element such as the
+ * `elementRoot` of an application. The target is resolved each time a notification is displayed, so notifications
+ * follow an application into a PopOut window.
+ *
+ * `TJSNotifications.global` displays notifications in the main window. Each `SvelteApplication` provides a center
+ * scoped to the app by `application.notifications` that is also available from the `#external` context as
+ * `notifications`.
+ *
+ * @example
+ * const { notifications } = getContext('#external');
+ *
+ * notifications.info('Saved.');
+ * notifications.error('Import failed.', { actions: [{ label: 'Retry', onPress: () => importData() }] });
+ *
+ * const progress = notifications.progress('Importing...');
+ * progress.update({ pct: 0.5 });
+ * progress.update({ pct: 1, message: 'Import complete.' });
+ */
+export class TJSNotifications
+{
+   /**
+    * The notification center of the main window.
+    *
+    * @type {TJSNotifications}
+    */
+   static #global;
+
+   /**
+    * The next notification ID.
+    *
+    * @type {number}
+    */
+   static #nextId = 0;
+
+   /**
+    * Default duration in milliseconds.
+    *
+    * @type {number}
+    */
+   #duration;
+
+   /**
+    * Maximum number of displayed notifications.
+    *
+    * @type {number}
+    */
+   #max;
+
+   /**
+    * Stack position.
+    *
+    * @type {string}
+    */
+   #position;
+
+   /**
+    * The mounted stack.
+    *
+    * @type {TJSNotificationStack}
+    */
+   #stack;
+
+   /**
+    * The element the stack is mounted in.
+    *
+    * @type {HTMLElement}
+    */
+   #stackTarget;
+
+   /**
+    * @type {import('svelte/store').Writable<import('./types').TJSNotificationData[]>}
+    */
+   #storeNotifications = writable([]);
+
+   /**
+    * @type {import('./types').TJSNotificationsStores}
+    */
+   #stores = Object.freeze({ notifications: { subscribe: this.#storeNotifications.subscribe } });
+
+   /**
+    * Resolves the target element.
+    *
+    * @type {() => HTMLElement | undefined}
+    */
+   #target;
+
+   /**
+    * Auto-dismiss timeouts by notification ID.
+    *
+    * @type {Map<number, number>}
+    */
+   #timeouts = new Map();
+
+   /**
+    * @param {import('./types').TJSNotificationsOptions} [options] - Options.
+    */
+   constructor({ target, position = 'top-right', duration = 5000, max = 5 } = {})
+   {
+      if (target !== void 0 && !(target instanceof HTMLElement) && typeof target !== 'function')
+      {
+         throw new TypeError(`TJSNotifications error: 'target' is not an HTMLElement or function.`);
+      }
+
+      if (!Number.isInteger(duration) || duration < 0)
+      {
+         throw new TypeError(`TJSNotifications error: 'duration' is not a non-negative integer.`);
+      }
+
+      if (!Number.isInteger(max) || max < 1)
+      {
+         throw new TypeError(`TJSNotifications error: 'max' is not a positive integer.`);
+      }
+
+      this.#target = typeof target === 'function' ? target : () => target ?? globalThis.document.body;
+      this.#position = position;
+      this.#duration = duration;
+      this.#max = max;
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {TJSNotifications} The notification center of the main window.
+    */
+   static get global()
+   {
+      if (!this.#global) { this.#global = new TJSNotifications(); }
+
+      return this.#global;
+   }
+
+   /**
+    * @returns {import('./types').TJSNotificationData[]} The displayed notifications.
+    */
+   get notifications() { return [...get(this.#storeNotifications)]; }
+
+   /**
+    * @returns {import('./types').TJSNotificationsStores} The notification stores.
+    */
+   get stores() { return this.#stores; }
+
+   /**
+    * Removes all notifications and unmounts the stack.
+    */
+   clear()
+   {
+      for (const timeout of this.#timeouts.values()) { clearTimeout(timeout); }
+
+      this.#timeouts.clear();
+      this.#storeNotifications.set([]);
+
+      this.#stack?.$destroy();
+      this.#stack = void 0;
+      this.#stackTarget = void 0;
+   }
+
+   /**
+    * Dismisses a notification.
+    *
+    * @param {number}   id - Notification ID.
+    */
+   dismiss(id)
+   {
+      clearTimeout(this.#timeouts.get(id));
+      this.#timeouts.delete(id);
+
+      const notifications = this.notifications;
+      const notification = notifications.find((entry) => entry.id === id);
+
+      if (!notification) { return; }
+
+      this.#storeNotifications.set(notifications.filter((entry) => entry !== notification));
+
+      if (typeof notification.onDismiss === 'function') { notification.onDismiss(); }
+   }
+
+   /**
+    * Displays an error notification; errors are not dismissed automatically by default.
+    *
+    * @param {string}   message - Message; localized.
+    *
+    * @param {import('./types').TJSNotificationOptions} [options] - Options.
+    *
+    * @returns {import('./types').TJSNotificationHandle} Notification handle.
+    */
+   error(message, options = {})
+   {
+      return this.notify(message, { duration: 0, ...options, type: 'error' });
+   }
+
+   /**
+    * Displays an info notification.
+    *
+    * @param {string}   message - Message; localized.
+    *
+    * @param {import('./types').TJSNotificationOptions} [options] - Options.
+    *
+    * @returns {import('./types').TJSNotificationHandle} Notification handle.
+    */
+   info(message, options = {})
+   {
+      return this.notify(message, { ...options, type: 'info' });
+   }
+
+   /**
+    * Displays a notification. When the maximum number of notifications is exceeded the oldest are dismissed.
+    *
+    * @param {string}   message - Message; localized.
+    *
+    * @param {import('./types').TJSNotificationOptions & { type?: string }} [options] - Options.
+    *
+    * @returns {import('./types').TJSNotificationHandle} Notification handle.
+    */
+   notify(message, { type = 'info', duration = this.#duration, actions = [], dismissible = true, pct, onDismiss } = {})
+   {
+      if (typeof message !== 'string') { throw new TypeError(`TJSNotifications.notify error: 'message' is not a string.`); }
+
+      if (!['info', 'warn', 'error', 'progress'].includes(type))
+      {
+         throw new TypeError(`TJSNotifications.notify error: 'type' is not a notification type.`);
+      }
+
+      if (!Array.isArray(actions)) { throw new TypeError(`TJSNotifications.notify error: 'actions' is not an array.`); }
+
+      const id = TJSNotifications.#nextId++;
+
+      const notification = Object.freeze({
+         id,
+         type,
+         message,
+         dismissible,
+         onDismiss,
+         pct: Number.isFinite(pct) ? Math.max(0, Math.min(1, pct)) : void 0,
+         actions: actions.filter((action) => isObject(action) && typeof action.label === 'string'),
+         duration
+      });
+
+      const notifications = [...this.notifications, notification];
+
+      while (notifications.length > this.#max)
+      {
+         const removed = notifications.shift();
+
+         clearTimeout(this.#timeouts.get(removed.id));
+         this.#timeouts.delete(removed.id);
+      }
+
+      this.#storeNotifications.set(notifications);
+
+      // Progress notifications are dismissed after completion.
+      if (type !== 'progress') { this.#startTimeout(id, duration); }
+
+      this.#mount();
+
+      return Object.freeze({
+         id,
+         dismiss: () => this.dismiss(id),
+         update: (data) => this.update(id, data)
+      });
+   }
+
+   /**
+    * Displays a progress notification with a progress bar. The notification is dismissed after its duration once
+    * `pct` is updated to `1`.
+    *
+    * @param {string}   message - Message; localized.
+    *
+    * @param {import('./types').TJSNotificationOptions} [options] - Options.
+    *
+    * @returns {import('./types').TJSNotificationHandle} Notification handle.
+    */
+   progress(message, options = {})
+   {
+      return this.notify(message, { pct: 0, ...options, type: 'progress' });
+   }
+
+   /**
+    * Updates the message or progress of a displayed notification.
+    *
+    * @param {number}   id - Notification ID.
+    *
+    * @param {{ message?: string, pct?: number }}  data - Updated data.
+    */
+   update(id, { message, pct } = {})
+   {
+      const notifications = this.notifications;
+      const index = notifications.findIndex((entry) => entry.id === id);
+
+      if (index < 0) { return; }
+
+      const notification = notifications[index];
+
+      const updated = Object.freeze({
+         ...notification,
+         message: typeof message === 'string' ? message : notification.message,
+         pct: Number.isFinite(pct) ? Math.max(0, Math.min(1, pct)) : notification.pct
+      });
+
+      notifications[index] = updated;
+
+      this.#storeNotifications.set(notifications);
+
+      if (updated.type === 'progress' && updated.pct === 1) { this.#startTimeout(id, updated.duration); }
+   }
+
+   /**
+    * Displays a warning notification.
+    *
+    * @param {string}   message - Message; localized.
+    *
+    * @param {import('./types').TJSNotificationOptions} [options] - Options.
+    *
+    * @returns {import('./types').TJSNotificationHandle} Notification handle.
+    */
+   warn(message, options = {})
+   {
+      return this.notify(message, { ...options, type: 'warn' });
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Mounts the stack in the current target. The stack is remounted when the target changes or is disconnected; for
+    * instance when an application is rendered again or moved to a PopOut window.
+    */
+   #mount()
+   {
+      const target = this.#target();
+
+      if (!(target instanceof HTMLElement)) { return; }
+
+      if (this.#stack && this.#stackTarget === target && this.#stack.element?.isConnected) { return; }
+
+      this.#stack?.$destroy();
+
+      this.#stackTarget = target;
+      this.#stack = new TJSNotificationStack({
+         target,
+         props: {
+            center: this,
+            global: target === target.ownerDocument.body,
+            position: this.#position
+         }
+      });
+   }
+
+   /**
+    * Starts the auto-dismiss timeout of a notification.
+    *
+    * @param {number}   id - Notification ID.
+    *
+    * @param {number}   duration - Duration in milliseconds; `0` disables auto-dismiss.
+    */
+   #startTimeout(id, duration)
+   {
+      clearTimeout(this.#timeouts.get(id));
+      this.#timeouts.delete(id);
+
+      if (duration > 0) { this.#timeouts.set(id, setTimeout(() => this.dismiss(id), duration)); }
+   }
+}
@@ -0,0 +1,129 @@
+/**
+ * Defines an action button of a notification.
+ */
+type TJSNotificationAction = {
+   /**
+    * Button label; localized.
+    */
+   label: string;
+
+   /**
+    * Font Awesome icon classes.
+    */
+   icon?: string;
+
+   /**
+    * Invoked when the button is pressed.
+    */
+   onPress?: (data: { action: TJSNotificationAction, event: MouseEvent, id: number }) => void;
+
+   /**
+    * When true the notification isn't dismissed when the button is pressed.
+    */
+   keepOpen?: boolean;
+};
+
+/**
+ * Defines the options of a notification.
+ */
+type TJSNotificationOptions = {
+   /**
+    * Auto-dismiss duration in milliseconds; `0` disables auto-dismiss. Errors default to `0`.
+    */
+   duration?: number;
+
+   /**
+    * Action buttons.
+    */
+   actions?: TJSNotificationAction[];
+
+   /**
+    * When true a close button is displayed; default: true.
+    */
+   dismissible?: boolean;
+
+   /**
+    * Progress from `0` to `1`; displays a progress bar.
+    */
+   pct?: number;
+
+   /**
+    * Invoked when the notification is dismissed.
+    */
+   onDismiss?: () => void;
+};
+
+/**
+ * Defines a displayed notification.
+ */
+type TJSNotificationData = {
+   id: number;
+   type: 'info' | 'warn' | 'error' | 'progress';
+   message: string;
+   duration: number;
+   actions: TJSNotificationAction[];
+   dismissible: boolean;
+   pct?: number;
+   onDismiss?: () => void;
+};
+
+/**
+ * Returned when a notification is displayed.
+ */
+type TJSNotificationHandle = {
+   /**
+    * Notification ID.
+    */
+   id: number;
+
+   /**
+    * Dismisses the notification.
+    */
+   dismiss: () => void;
+
+   /**
+    * Updates the message or progress of the notification.
+    */
+   update: (data: { message?: string, pct?: number }) => void;
+};
+
+/**
+ * Defines the options of a notification center.
+ */
+type TJSNotificationsOptions = {
+   /**
+    * The target element or a function returning the target element; default: `document.body`.
+    */
+   target?: HTMLElement | (() => HTMLElement | undefined);
+
+   /**
+    * Stack position; default: `top-right`.
+    */
+   position?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+   /**
+    * Default auto-dismiss duration in milliseconds; default: `5000`.
+    */
+   duration?: number;
+
+   /**
+    * Maximum number of displayed notifications; default: `5`.
+    */
+   max?: number;
+};
+
+/**
+ * The stores of a notification center.
+ */
+type TJSNotificationsStores = {
+   notifications: import('svelte/store').Readable<TJSNotificationData[]>;
+};
+
+export {
+   TJSNotificationAction,
+   TJSNotificationData,
+   TJSNotificationHandle,
+   TJSNotificationOptions,
+   TJSNotificationsOptions,
+   TJSNotificationsStores
+}
@@ -0,0 +1 @@
+export { default as TJSSplitPane }        from './TJSSplitPane.svelte';
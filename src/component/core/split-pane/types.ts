@@ -0,0 +1,43 @@
+import type { TJSSvelteConfig } from '#runtime/svelte/util';
+
+/**
+ * Defines a pane of {@link TJSSplitPane}.
+ */
+type TJSSplitPaneData = {
+   /**
+    * Svelte config of the pane content.
+    */
+   svelte?: TJSSvelteConfig;
+
+   /**
+    * Props of a nested split-pane; used instead of `svelte`.
+    */
+   split?: {
+      direction?: 'horizontal' | 'vertical';
+      gutterSize?: number;
+      id?: string;
+      panes: TJSSplitPaneData[];
+   };
+
+   /**
+    * Initial size as a fraction of the available space; default: an equal share.
+    */
+   size?: number;
+
+   /**
+    * Minimum size in pixels.
+    */
+   minSize?: number;
+
+   /**
+    * When true the pane can be collapsed from an adjacent gutter.
+    */
+   collapsible?: boolean;
+
+   /**
+    * Initial collapsed state.
+    */
+   collapsed?: boolean;
+};
+
+export { TJSSplitPaneData }
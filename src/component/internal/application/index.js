@@ -0,0 +1 @@
+export { default as TJSTabWindowShell }   from './TJSTabWindowShell.svelte';
@@ -1 +1,3 @@
-export { default as DialogShell }   from './DialogShell.svelte';
+export { default as DialogFilePick }   from './DialogFilePick.svelte';
+export { default as DialogProgress }   from './DialogProgress.svelte';
+export { default as DialogShell }      from './DialogShell.svelte';
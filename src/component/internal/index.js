@@ -7,4 +7,10 @@
  * @module
  */
 
+export * from './application/index.js';
 export * from './dialog/index.js';
+
+// Core component resources used by the application layer without importing the `component/core` package.
+export { HeaderButtonUtil }   from '../core/application/HeaderButtonUtil.js';
+export { TJSCommandRegistry } from '../core/command-palette/TJSCommandRegistry.js';
+export { TJSNotifications }   from '../core/notification/TJSNotifications.js';
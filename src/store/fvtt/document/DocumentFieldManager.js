@@ -0,0 +1,324 @@
+/**
+ * Provides management of writable field stores for `TJSDocument.field`. Field changes are applied optimistically
+ * and batched into a single `Document.update` after a debounce delay. While an update is pending or in flight the
+ * local value is displayed. When the update fails or is rejected the fields are rolled back to the document value.
+ * Document updates that echo the in flight changes are ignored.
+ */
+export class DocumentFieldManager
+{
+   /**
+    * Keys of update data not compared when detecting echoed updates.
+    *
+    * @type {RegExp}
+    */
+   static #ignoredKeyRegex = /^(_id|_stats\.)/;
+
+   /**
+    * Field stores by path.
+    *
+    * @type {Map<string, FieldData>}
+    */
+   #fields = new Map();
+
+   /**
+    * Changes sent in the current update by path.
+    *
+    * @type {Map<string, *>}
+    */
+   #inflight = new Map();
+
+   /**
+    * Changes waiting for the debounce delay by path.
+    *
+    * @type {Map<string, *>}
+    */
+   #pending = new Map();
+
+   /**
+    * Debounce timeout ID.
+    *
+    * @type {number}
+    */
+   #timeoutId;
+
+   /**
+    * The associated TJSDocument.
+    *
+    * @type {import('./TJSDocument').TJSDocument}
+    */
+   #tjsDoc;
+
+   /**
+    * Unsubscribes from the associated TJSDocument.
+    *
+    * @type {Function}
+    */
+   #unsubscribe;
+
+   /**
+    * @param {import('./TJSDocument').TJSDocument} tjsDoc - The associated TJSDocument.
+    */
+   constructor(tjsDoc)
+   {
+      this.#tjsDoc = tjsDoc;
+
+      Object.seal(this);
+   }
+
+   /**
+    * Returns the field store for the given path creating it as necessary.
+    *
+    * @param {string}   path - Property path in dot notation.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {number}   [options.delay=250] - Debounce delay in milliseconds.
+    *
+    * @param {object}   [options.updateOptions] - Options passed to `Document.update`.
+    *
+    * @returns {import('./types').TJSDocumentField} Field store.
+    */
+   create(path, { delay = 250, updateOptions = {} } = {})
+   {
+      const existing = this.#fields.get(path);
+
+      if (existing) { return existing.store; }
+
+      const manager = this;
+
+      /** @type {FieldData} */
+      const data = { delay, updateOptions, subscribers: [], value: void 0, store: void 0 };
+
+      data.store = Object.freeze({
+         path,
+
+         flush: () => this.flush(),
+
+         get pending() { return manager.#pending.has(path) || manager.#inflight.has(path); },
+
+         set: (value) => this.#set(data, path, value),
+
+         subscribe: (handler) => this.#subscribe(data, path, handler),
+
+         update: (updater) => this.#set(data, path, updater(this.#getValue(path)))
+      });
+
+      this.#fields.set(path, data);
+
+      return data.store;
+   }
+
+   /**
+    * Drops all pending and in flight changes and unsubscribes from the associated TJSDocument.
+    */
+   destroy()
+   {
+      this.handleDocChange();
+
+      for (const data of this.#fields.values()) { data.subscribers.length = 0; }
+
+      this.#fields.clear();
+
+      this.#unsubscribe?.();
+      this.#unsubscribe = void 0;
+   }
+
+   /**
+    * Drops all pending and in flight changes when the document changes or is deleted.
+    */
+   handleDocChange()
+   {
+      clearTimeout(this.#timeoutId);
+      this.#timeoutId = void 0;
+
+      this.#pending.clear();
+      this.#inflight.clear();
+   }
+
+   /**
+    * Sends all pending changes in a single `Document.update`. When the update fails or is rejected the changed fields
+    * are rolled back to the document value.
+    *
+    * @returns {Promise<boolean>} Whether the update succeeded; `true` when there are no pending changes.
+    */
+   async flush()
+   {
+      clearTimeout(this.#timeoutId);
+      this.#timeoutId = void 0;
+
+      if (this.#pending.size === 0) { return true; }
+
+      const doc = this.#tjsDoc.get();
+      const changes = Object.fromEntries(this.#pending);
+
+      // Merge the `updateOptions` of all changed fields.
+      const updateOptions = {};
+      for (const path of this.#pending.keys()) { Object.assign(updateOptions, this.#fields.get(path)?.updateOptions); }
+
+      for (const [path, value] of this.#pending) { this.#inflight.set(path, value); }
+      this.#pending.clear();
+
+      let result;
+
+      try
+      {
+         result = doc ? await doc.update(changes, updateOptions) : void 0;
+      }
+      catch (err)
+      {
+         console.error(`[TRL] TJSDocument.field error: Document update failed.`, err);
+      }
+
+      // Remove in flight changes unless replaced by a newer update.
+      for (const path of Object.keys(changes))
+      {
+         if (this.#inflight.get(path) === changes[path]) { this.#inflight.delete(path); }
+      }
+
+      // Notify with the document value; this rolls back fields when the update was rejected.
+      for (const path of Object.keys(changes)) { this.#notify(path); }
+
+      return result !== void 0;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * @param {string}   path - Property path.
+    *
+    * @returns {*} Pending, in flight or document value.
+    */
+   #getValue(path)
+   {
+      if (this.#pending.has(path)) { return this.#pending.get(path); }
+      if (this.#inflight.has(path)) { return this.#inflight.get(path); }
+
+      const doc = this.#tjsDoc.get();
+
+      return doc ? globalThis.foundry.utils.getProperty(doc, path) : void 0;
+   }
+
+   /**
+    * Handles TJSDocument changes notifying fields of changed values. Echoed updates of in flight changes are ignored.
+    *
+    * @param {import('./TJSDocument').TJSDocumentUpdateOptions} updateOptions - Update options.
+    */
+   #handleDocUpdate(updateOptions)
+   {
+      if (this.#isEcho(updateOptions)) { return; }
+
+      for (const path of this.#fields.keys()) { this.#notify(path); }
+   }
+
+   /**
+    * Determines if the update data of a document update only contains in flight changes.
+    *
+    * @param {import('./TJSDocument').TJSDocumentUpdateOptions} updateOptions - Update options.
+    *
+    * @returns {boolean} Whether the update is an echo of in flight changes.
+    */
+   #isEcho(updateOptions)
+   {
+      if (this.#inflight.size === 0 || updateOptions?.action !== 'update') { return false; }
+
+      const data = updateOptions.data;
+
+      if (typeof data !== 'object' || data === null || Array.isArray(data)) { return false; }
+
+      const entries = Object.entries(globalThis.foundry.utils.flattenObject(data)).filter(
+       ([key]) => !DocumentFieldManager.#ignoredKeyRegex.test(key));
+
+      return entries.length > 0 && entries.every(([key, value]) => this.#inflight.has(key) &&
+       this.#inflight.get(key) === value);
+   }
+
+   /**
+    * Notifies the subscribers of a field when its value changes.
+    *
+    * @param {string}   path - Property path.
+    */
+   #notify(path)
+   {
+      const data = this.#fields.get(path);
+
+      if (!data || data.subscribers.length === 0) { return; }
+
+      const value = this.#getValue(path);
+
+      // Objects are always updated as they may be modified in place.
+      if (value === data.value && (typeof value !== 'object' || value === null)) { return; }
+
+      data.value = value;
+
+      for (let cntr = 0; cntr < data.subscribers.length; cntr++) { data.subscribers[cntr](value); }
+   }
+
+   /**
+    * Sets a local value and schedules the batched update.
+    *
+    * @param {FieldData}   data - Field data.
+    *
+    * @param {string}   path - Property path.
+    *
+    * @param {*}        value - New value.
+    */
+   #set(data, path, value)
+   {
+      this.#pending.set(path, value);
+      this.#notify(path);
+
+      clearTimeout(this.#timeoutId);
+      this.#timeoutId = setTimeout(() => this.flush(), data.delay);
+   }
+
+   /**
+    * @param {FieldData}   data - Field data.
+    *
+    * @param {string}   path - Property path.
+    *
+    * @param {(value: *) => void}   handler - Subscriber.
+    *
+    * @returns {import('svelte/store').Unsubscriber} Unsubscribe function.
+    */
+   #subscribe(data, path, handler)
+   {
+      // Subscribe to the document with the first field subscriber.
+      if (!this.#unsubscribe)
+      {
+         this.#unsubscribe = this.#tjsDoc.subscribe((docUnused, updateOptions) =>
+          this.#handleDocUpdate(updateOptions));
+      }
+
+      data.subscribers.push(handler);
+
+      data.value = this.#getValue(path);
+      handler(data.value);
+
+      return () =>
+      {
+         const index = data.subscribers.findIndex((sub) => sub === handler);
+         if (index >= 0) { data.subscribers.splice(index, 1); }
+
+         // Unsubscribe from the document when no fields have subscribers.
+         if (this.#unsubscribe && [...this.#fields.values()].every((entry) => entry.subscribers.length === 0))
+         {
+            this.#unsubscribe();
+            this.#unsubscribe = void 0;
+         }
+      };
+   }
+}
+
+/**
+ * @typedef {object} FieldData
+ *
+ * @property {number} delay Debounce delay in milliseconds.
+ *
+ * @property {object} updateOptions Options passed to `Document.update`.
+ *
+ * @property {((value: *) => void)[]} subscribers Field subscribers.
+ *
+ * @property {*} value Last value sent to subscribers.
+ *
+ * @property {import('./types').TJSDocumentField} store Field store.
+ */
@@ -6,6 +6,8 @@ import {
    isObject,
    isPlainObject }                  from '#runtime/util/object';
 
+import { createDocumentSelector }   from './createDocumentSelector.js';
+import { DocumentFieldManager }     from './DocumentFieldManager.js';
 import { EmbeddedStoreManager }     from './EmbeddedStoreManager.js';
 
 /**
@@ -39,6 +41,11 @@ export class TJSDocument
     */
    #embeddedAPI;
 
+   /**
+    * @type {DocumentFieldManager}
+    */
+   #fieldManager;
+
    /**
     * @type {string}
     */
@@ -182,6 +189,12 @@ export class TJSDocument
          this.#embeddedAPI = void 0;
       }
 
+      if (this.#fieldManager)
+      {
+         this.#fieldManager.destroy();
+         this.#fieldManager = void 0;
+      }
+
       this.#setDocument(void 0);
 
       this.#options.delete = void 0;
@@ -190,6 +203,52 @@ export class TJSDocument
       this.#subscriptions.length = 0;
    }
 
+   /**
+    * Returns a writable store for a property of the document by path in dot notation. The same store is returned for
+    * the same path. Setting the store applies the value locally and batches the changes of all fields of this
+    * document into a single `update` after the debounce delay. Failed or rejected updates roll back to the document
+    * value and document updates that only echo the local changes are ignored. Local changes are dropped when the
+    * document changes.
+    *
+    * @example
+    * const hp = tjsDoc.field('system.attributes.hp.value');
+    *
+    * <input type=number bind:value={$hp} />
+    *
+    * @param {string}   path - Property path in dot notation.
+    *
+    * @param {object}   [options] - Options applied when the store is created.
+    *
+    * @param {number}   [options.delay=250] - Debounce delay in milliseconds.
+    *
+    * @param {object}   [options.updateOptions] - Options passed to `Document.update`.
+    *
+    * @returns {import('./types').TJSDocumentField} Writable field store.
+    */
+   field(path, options = {})
+   {
+      if (typeof path !== 'string' || path.length === 0)
+      {
+         throw new TypeError(`TJSDocument.field error: 'path' is not a non-empty string.`);
+      }
+
+      if (!isObject(options)) { throw new TypeError(`TJSDocument.field error: 'options' is not an object.`); }
+
+      if (options.delay !== void 0 && (!Number.isInteger(options.delay) || options.delay < 0))
+      {
+         throw new TypeError(`TJSDocument.field error: 'options.delay' is not a non-negative integer.`);
+      }
+
+      if (options.updateOptions !== void 0 && !isObject(options.updateOptions))
+      {
+         throw new TypeError(`TJSDocument.field error: 'options.updateOptions' is not an object.`);
+      }
+
+      if (!this.#fieldManager) { this.#fieldManager = new DocumentFieldManager(this); }
+
+      return this.#fieldManager.create(path, options);
+   }
+
    /**
     * @returns {T} Current document
     */
@@ -235,6 +294,36 @@ export class TJSDocument
    }
 
 
+   /**
+    * Returns a readable store of a slice of the document that only notifies subscribers when the selected value
+    * changes. A property path selector uses the update data in `updateOptions` to skip unrelated updates without
+    * reading the document. A function selector is invoked with the document on each change; provide `equals` when it
+    * returns new objects or arrays.
+    *
+    * @example
+    * const hp = tjsDoc.select('system.attributes.hp.value');
+    * const itemCount = tjsDoc.select((actor) => actor.items.size);
+    *
+    * @param {string | ((doc: T) => *)}   selector - Property path in dot notation or selector function.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {(a: *, b: *) => boolean}  [options.equals=Object.is] - Compares the previous and next selected values.
+    *
+    * @returns {import('svelte/store').Readable<*>} Selected value store.
+    */
+   select(selector, { equals = Object.is } = {})
+   {
+      if ((typeof selector !== 'string' || selector.length === 0) && typeof selector !== 'function')
+      {
+         throw new TypeError(`TJSDocument.select error: 'selector' is not a non-empty string or function.`);
+      }
+
+      if (typeof equals !== 'function') { throw new TypeError(`TJSDocument.select error: 'equals' is not a function.`); }
+
+      return createDocumentSelector(this, selector, equals);
+   }
+
    /**
     * @param {T | undefined}  document - New document to set.
     *
@@ -282,6 +371,7 @@ export class TJSDocument
       this.#document[0] = doc;
 
       if (changed && this.#embeddedStoreManager) { this.#embeddedStoreManager.handleDocChange(); }
+      if (changed && this.#fieldManager) { this.#fieldManager.handleDocChange(); }
 
       return changed;
    }
@@ -0,0 +1,557 @@
+import { writable }                 from '#svelte/store';
+
+import { isObject }                 from '#runtime/util/object';
+
+/**
+ * Provides opt-in undo / redo history for a `TJSDocument`. Document updates and the creation, deletion and updates of
+ * directly embedded documents are recorded as diffs against a snapshot of the document source data. Changes recorded
+ * within `groupDelay` of each other are grouped into a single transaction that is undone / redone together. The number
+ * of transactions is bounded by `max`.
+ *
+ * Changes are observed with the Foundry `create` / `delete` / `update` document hooks instead of the TJSDocument
+ * update path. The render context Foundry passes to TJSDocument subscribers and `EmbeddedStoreManager.handleUpdate`
+ * carries neither the user ID nor the update options of a change, so neither the local user nor an update options
+ * marker of a change routed through the store can be identified there. Changes made by the local user are recorded
+ * regardless of source; IE through TJSDocument field stores, a Foundry sheet or a macro. This matches what an undo
+ * action of a sheet is expected to revert as edits of a document are commonly made from several sources. Changes made
+ * by other users only refresh the snapshot and changes of nested embedded documents are not recorded. Changes applied
+ * by `undo` / `redo` are not recorded. The history is cleared when the document of the TJSDocument changes or is
+ * deleted.
+ *
+ * @example
+ * const history = new TJSDocumentHistory(tjsDoc);
+ * const { canUndo, canRedo } = history.stores;
+ *
+ * <button disabled={!$canUndo} on:click={() => history.undo()}>Undo</button>
+ */
+export class TJSDocumentHistory
+{
+   /**
+    * Keys of update data that are not recorded.
+    *
+    * @type {RegExp}
+    */
+   static #ignoredKeyRegex = /^(_id|_stats)(\.|$)/;
+
+   /**
+    * Whether undo / redo changes are being applied.
+    *
+    * @type {boolean}
+    */
+   #applying = false;
+
+   /**
+    * The document the hooks are registered for.
+    *
+    * @type {foundry.abstract.Document}
+    */
+   #doc;
+
+   /**
+    * Changes within this delay in milliseconds are grouped into one transaction.
+    *
+    * @type {number}
+    */
+   #groupDelay;
+
+   /**
+    * Registered document hooks by hook name.
+    *
+    * @type {Map<string, number>}
+    */
+   #hooks = new Map();
+
+   /**
+    * Time of the last recorded change.
+    *
+    * @type {number}
+    */
+   #lastTime = 0;
+
+   /**
+    * Maximum number of transactions.
+    *
+    * @type {number}
+    */
+   #max;
+
+   /**
+    * @type {import('./types').TJSDocumentHistoryTransaction[]}
+    */
+   #redoStack = [];
+
+   /**
+    * Whether a snapshot refresh is queued.
+    *
+    * @type {boolean}
+    */
+   #refreshQueued = false;
+
+   /**
+    * Source data of the document after the last observed change.
+    *
+    * @type {object}
+    */
+   #snapshot;
+
+   /**
+    * @type {import('svelte/store').Writable<boolean>}
+    */
+   #storeCanRedo = writable(false);
+
+   /**
+    * @type {import('svelte/store').Writable<boolean>}
+    */
+   #storeCanUndo = writable(false);
+
+   /**
+    * @type {{ canRedo: import('svelte/store').Readable<boolean>, canUndo: import('svelte/store').Readable<boolean> }}
+    */
+   #stores;
+
+   /**
+    * @type {import('./TJSDocument').TJSDocument}
+    */
+   #tjsDoc;
+
+   /**
+    * @type {import('./types').TJSDocumentHistoryTransaction[]}
+    */
+   #undoStack = [];
+
+   /**
+    * @type {import('svelte/store').Unsubscriber}
+    */
+   #unsubscribe;
+
+   /**
+    * @param {import('./TJSDocument').TJSDocument} tjsDoc - The TJSDocument to track.
+    *
+    * @param {object}   [options] - Options.
+    *
+    * @param {number}   [options.max=50] - Maximum number of transactions.
+    *
+    * @param {number}   [options.groupDelay=500] - Changes within this delay in milliseconds are grouped into one
+    *        transaction.
+    */
+   constructor(tjsDoc, { max = 50, groupDelay = 500 } = {})
+   {
+      if (typeof tjsDoc?.subscribe !== 'function' || typeof tjsDoc?.get !== 'function')
+      {
+         throw new TypeError(`TJSDocumentHistory error: 'tjsDoc' is not a TJSDocument.`);
+      }
+
+      if (!Number.isInteger(max) || max < 1)
+      {
+         throw new TypeError(`TJSDocumentHistory error: 'max' is not a positive integer.`);
+      }
+
+      if (!Number.isInteger(groupDelay) || groupDelay < 0)
+      {
+         throw new TypeError(`TJSDocumentHistory error: 'groupDelay' is not a non-negative integer.`);
+      }
+
+      this.#tjsDoc = tjsDoc;
+      this.#max = max;
+      this.#groupDelay = groupDelay;
+
+      this.#stores = Object.freeze({
+         canRedo: { subscribe: this.#storeCanRedo.subscribe },
+         canUndo: { subscribe: this.#storeCanUndo.subscribe }
+      });
+
+      this.#unsubscribe = tjsDoc.subscribe((doc, updateOptions) => this.#handleUpdate(doc, updateOptions));
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {boolean} Whether there is a transaction to redo.
+    */
+   get canRedo() { return this.#redoStack.length > 0; }
+
+   /**
+    * @returns {boolean} Whether there is a transaction to undo.
+    */
+   get canUndo() { return this.#undoStack.length > 0; }
+
+   /**
+    * @returns {{ canRedo: import('svelte/store').Readable<boolean>, canUndo: import('svelte/store').Readable<boolean> }}
+    *          The history stores.
+    */
+   get stores() { return this.#stores; }
+
+   /**
+    * Clears the undo / redo history.
+    */
+   clear()
+   {
+      this.#undoStack.length = 0;
+      this.#redoStack.length = 0;
+      this.#lastTime = 0;
+
+      this.#updateStores();
+   }
+
+   /**
+    * Ends the current transaction; the next change starts a new transaction regardless of `groupDelay`.
+    */
+   commit()
+   {
+      this.#lastTime = 0;
+   }
+
+   /**
+    * Clears the history and stops tracking the TJSDocument.
+    */
+   destroy()
+   {
+      this.clear();
+
+      this.#unsubscribe?.();
+      this.#unsubscribe = void 0;
+      this.#snapshot = void 0;
+
+      this.#registerHooks(void 0);
+   }
+
+   /**
+    * Reapplies the last undone transaction.
+    *
+    * @returns {Promise<boolean>} Whether a transaction was redone.
+    */
+   async redo()
+   {
+      const transaction = this.#redoStack.pop();
+
+      if (!transaction) { return false; }
+
+      const success = await this.#apply(transaction.operations, false);
+
+      if (success) { this.#undoStack.push(transaction); }
+
+      this.#updateStores();
+
+      return success;
+   }
+
+   /**
+    * Reverts the last transaction.
+    *
+    * @returns {Promise<boolean>} Whether a transaction was undone.
+    */
+   async undo()
+   {
+      const transaction = this.#undoStack.pop();
+
+      if (!transaction) { return false; }
+
+      const success = await this.#apply([...transaction.operations].reverse(), true);
+
+      if (success) { this.#redoStack.push(transaction); }
+
+      this.#updateStores();
+
+      return success;
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Applies or reverts operations. Failed transactions are dropped from the history.
+    *
+    * @param {import('./types').TJSDocumentHistoryOperation[]} operations - Operations.
+    *
+    * @param {boolean}  revert - Whether to revert the operations.
+    *
+    * @returns {Promise<boolean>} Whether all operations were applied.
+    */
+   async #apply(operations, revert)
+   {
+      const doc = this.#tjsDoc.get();
+
+      if (!doc) { return false; }
+
+      this.#applying = true;
+      this.commit();
+
+      try
+      {
+         for (const op of operations)
+         {
+            switch (op.type)
+            {
+               case 'update':
+                  await doc.update(revert ? op.before : op.after);
+                  break;
+
+               case 'create':
+                  if (revert) { await doc.deleteEmbeddedDocuments(op.name, op.data.map((entry) => entry._id)); }
+                  else { await doc.createEmbeddedDocuments(op.name, op.data, { keepId: true }); }
+                  break;
+
+               case 'delete':
+                  if (revert) { await doc.createEmbeddedDocuments(op.name, op.data, { keepId: true }); }
+                  else { await doc.deleteEmbeddedDocuments(op.name, op.data.map((entry) => entry._id)); }
+                  break;
+
+               case 'updateEmbedded':
+                  await doc.updateEmbeddedDocuments(op.name, revert ? op.before : op.after);
+                  break;
+            }
+         }
+
+         return true;
+      }
+      catch (err)
+      {
+         console.error(`[TRL] TJSDocumentHistory error: Failed to ${revert ? 'undo' : 'redo'} changes.`, err);
+         return false;
+      }
+      finally
+      {
+         this.#applying = false;
+         this.#snapshot = this.#tjsDoc.get()?.toObject();
+      }
+   }
+
+   /**
+    * Creates the operation for a document update by comparing the update data to the snapshot.
+    *
+    * @param {object}   data - Update data.
+    *
+    * @returns {import('./types').TJSDocumentHistoryOperation | undefined} Update operation.
+    */
+   #diffUpdate(data)
+   {
+      const utils = globalThis.foundry.utils;
+
+      const undoData = {};
+      const redoData = {};
+
+      for (const [key, value] of Object.entries(utils.flattenObject(data)))
+      {
+         if (TJSDocumentHistory.#ignoredKeyRegex.test(key)) { continue; }
+
+         const previous = utils.getProperty(this.#snapshot, key);
+
+         if (previous === value) { continue; }
+
+         undoData[key] = previous === void 0 ? null : utils.deepClone(previous);
+         redoData[key] = utils.deepClone(value);
+      }
+
+      return Object.keys(redoData).length ? { type: 'update', before: undoData, after: redoData } : void 0;
+   }
+
+   /**
+    * Creates the operation for an embedded document update by comparing the update data to the snapshot.
+    *
+    * @param {foundry.abstract.Document} embeddedDoc - Updated embedded document.
+    *
+    * @param {object}   changed - Update data.
+    *
+    * @returns {import('./types').TJSDocumentHistoryOperation | undefined} Embedded update operation.
+    */
+   #diffEmbedded(embeddedDoc, changed)
+   {
+      const utils = globalThis.foundry.utils;
+
+      const docName = embeddedDoc.documentName;
+      const collectionName = this.#doc.constructor?.metadata?.embedded?.[docName];
+
+      const source = this.#snapshot?.[collectionName]?.find((entry) => entry._id === embeddedDoc.id);
+
+      if (!source) { return void 0; }
+
+      const undoEntry = { _id: embeddedDoc.id };
+      const redoEntry = { _id: embeddedDoc.id };
+
+      for (const [key, value] of Object.entries(utils.flattenObject(changed)))
+      {
+         if (TJSDocumentHistory.#ignoredKeyRegex.test(key)) { continue; }
+
+         const prior = utils.getProperty(source, key);
+
+         if (prior === value) { continue; }
+
+         undoEntry[key] = prior === void 0 ? null : utils.deepClone(prior);
+         redoEntry[key] = utils.deepClone(value);
+      }
+
+      return Object.keys(redoEntry).length > 1 ?
+       { type: 'updateEmbedded', name: docName, before: [undoEntry], after: [redoEntry] } : void 0;
+   }
+
+   /**
+    * Records a change of the document or a directly embedded document made by the local user.
+    *
+    * @param {string}   action - `create`, `delete` or `update`.
+    *
+    * @param {foundry.abstract.Document}  changedDoc - Created, deleted or updated document.
+    *
+    * @param {object}   [changed] - Update data.
+    *
+    * @param {string}   userId - The ID of the user that made the change.
+    */
+   #handleChange(action, changedDoc, changed, userId)
+   {
+      const doc = this.#doc;
+
+      if (!doc || (changedDoc !== doc && changedDoc?.parent !== doc)) { return; }
+
+      // The snapshot is refreshed after all hooks of the change are invoked; diffs compare against the prior data.
+      this.#queueRefresh();
+
+      if (this.#applying || !this.#snapshot || userId !== globalThis.game?.user?.id) { return; }
+
+      let operation;
+
+      if (changedDoc === doc)
+      {
+         if (action === 'update' && isObject(changed)) { operation = this.#diffUpdate(changed); }
+      }
+      else
+      {
+         switch (action)
+         {
+            case 'create':
+            case 'delete':
+               operation = { type: action, name: changedDoc.documentName, data: [changedDoc.toObject()] };
+               break;
+
+            case 'update':
+               if (isObject(changed)) { operation = this.#diffEmbedded(changedDoc, changed); }
+               break;
+         }
+      }
+
+      if (operation) { this.#record(operation); }
+   }
+
+   /**
+    * Resets the history when the document of the TJSDocument changes and refreshes the snapshot on updates.
+    *
+    * @param {foundry.abstract.Document}  doc - Document.
+    *
+    * @param {import('./TJSDocument').TJSDocumentUpdateOptions} updateOptions - Update options.
+    */
+   #handleUpdate(doc, updateOptions)
+   {
+      const action = updateOptions?.action;
+
+      // A new or deleted document starts a new history.
+      if (action === 'delete' || action?.startsWith('tjs-set-') || doc !== this.#doc)
+      {
+         this.clear();
+         this.#registerHooks(action === 'delete' ? void 0 : doc);
+         this.#snapshot = this.#doc?.toObject();
+         return;
+      }
+
+      // Changes not observed by the document hooks such as nested embedded documents also refresh the snapshot.
+      this.#queueRefresh();
+   }
+
+   /**
+    * Queues a snapshot refresh after the current document change is processed. Foundry renders the document before
+    * invoking the document hooks, so the snapshot must not be refreshed until all hooks are invoked.
+    */
+   #queueRefresh()
+   {
+      if (this.#refreshQueued) { return; }
+
+      this.#refreshQueued = true;
+
+      queueMicrotask(() =>
+      {
+         this.#refreshQueued = false;
+         this.#snapshot = this.#doc?.toObject();
+      });
+   }
+
+   /**
+    * Adds an operation to the current transaction or starts a new transaction.
+    *
+    * @param {import('./types').TJSDocumentHistoryOperation} operation - Operation.
+    */
+   #record(operation)
+   {
+      const now = Date.now();
+
+      const current = this.#undoStack[this.#undoStack.length - 1];
+
+      if (current && this.#lastTime > 0 && now - this.#lastTime <= this.#groupDelay)
+      {
+         const last = current.operations[current.operations.length - 1];
+
+         // Merge consecutive document updates keeping the earliest `before` values.
+         if (last?.type === 'update' && operation.type === 'update')
+         {
+            last.before = { ...operation.before, ...last.before };
+            last.after = { ...last.after, ...operation.after };
+         }
+         // Merge consecutive embedded operations of the same type; IE from a single batch operation.
+         else if (last?.type === operation.type && last.name === operation.name && operation.type !== 'updateEmbedded')
+         {
+            last.data.push(...operation.data);
+         }
+         else
+         {
+            current.operations.push(operation);
+         }
+      }
+      else
+      {
+         this.#undoStack.push({ operations: [operation] });
+
+         if (this.#undoStack.length > this.#max) { this.#undoStack.shift(); }
+      }
+
+      this.#lastTime = now;
+      this.#redoStack.length = 0;
+
+      this.#updateStores();
+   }
+
+   /**
+    * Registers the Foundry hooks for changes of the document and directly embedded documents replacing any hooks of
+    * the previous document.
+    *
+    * @param {foundry.abstract.Document}  [doc] - Document.
+    */
+   #registerHooks(doc)
+   {
+      for (const [hook, id] of this.#hooks) { Hooks.off(hook, id); }
+
+      this.#hooks.clear();
+
+      this.#doc = doc;
+
+      if (!doc || !globalThis.Hooks) { return; }
+
+      this.#hooks.set(`update${doc.documentName}`, Hooks.on(`update${doc.documentName}`,
+       (changedDoc, changed, options, userId) => this.#handleChange('update', changedDoc, changed, userId)));
+
+      for (const docName of Object.keys(doc.constructor?.metadata?.embedded ?? {}))
+      {
+         this.#hooks.set(`create${docName}`, Hooks.on(`create${docName}`,
+          (changedDoc, options, userId) => this.#handleChange('create', changedDoc, void 0, userId)));
+
+         this.#hooks.set(`delete${docName}`, Hooks.on(`delete${docName}`,
+          (changedDoc, options, userId) => this.#handleChange('delete', changedDoc, void 0, userId)));
+
+         this.#hooks.set(`update${docName}`, Hooks.on(`update${docName}`,
+          (changedDoc, changed, options, userId) => this.#handleChange('update', changedDoc, changed, userId)));
+      }
+   }
+
+   /**
+    * Updates the `canUndo` / `canRedo` stores.
+    */
+   #updateStores()
+   {
+      this.#storeCanUndo.set(this.canUndo);
+      this.#storeCanRedo.set(this.canRedo);
+   }
+}
@@ -0,0 +1,546 @@
+import { tick }            from 'svelte';
+
+import { DynMapReducer }   from '#runtime/svelte/store/reducer';
+
+import { Hashing }         from '#runtime/util';
+
+import {
+   isIterable,
+   isObject,
+   isPlainObject }         from '#runtime/util/object';
+
+/**
+ * @template [T=foundry.abstract.Document]
+ *
+ * Provides a wrapper implementing the Svelte store / subscriber protocol around an arbitrary and changing set of
+ * documents keyed by UUID. World and compendium documents may be added by UUID with the lookup performed
+ * asynchronously. Document changes notify subscribers and deleted documents are removed from the set invoking any
+ * optional `preDelete` / `delete` functions like `TJSDocument`.
+ *
+ * Filtered / sorted views of the set are available as `DynMapReducer` instances from
+ * {@link TJSDocumentSet.createReducer}. Reducers are updated whenever the set or any of its documents change.
+ *
+ * Callbacks are registered with each document while it is in the set; invoke {@link TJSDocumentSet.destroy} when the
+ * set is no longer needed.
+ *
+ * @example
+ * const party = new TJSDocumentSet();
+ * await party.setFromUUIDs(game.combat.combatants.map((combatant) => combatant.actor?.uuid));
+ *
+ * const alive = party.createReducer({
+ *    filters: [(actor) => actor.system.attributes.hp.value > 0],
+ *    sort: (a, b) => a.name.localeCompare(b.name)
+ * });
+ */
+export class TJSDocumentSet
+{
+   /**
+    * Fake Application API by document UUID that ClientDocumentMixin uses for document model callbacks.
+    *
+    * @type {Map<string, { close: Function, render: Function }>}
+    */
+   #callbackAPI = new Map();
+
+   /**
+    * Tracked documents by document UUID.
+    *
+    * @type {Map<string, T>}
+    */
+   #documents = new Map();
+
+   /**
+    * @type {{ delete?: Function, preDelete?: Function }}
+    */
+   #options = { delete: void 0, preDelete: void 0 };
+
+   /**
+    * Reducers created by {@link TJSDocumentSet.createReducer}.
+    *
+    * @type {Set<import('#runtime/svelte/store/reducer').DynMapReducer<string, T>>}
+    */
+   #reducers = new Set();
+
+   /**
+    * Incremented for each call to {@link TJSDocumentSet.setFromUUIDs} so that superseded lookups are discarded.
+    *
+    * @type {number}
+    */
+   #setCount = 0;
+
+   /**
+    * @type {((value: TJSDocumentSet<T>, updateOptions?: TJSDocumentSetUpdateOptions<T>) => void)[]}
+    */
+   #subscriptions = [];
+
+   /**
+    * @type {TJSDocumentSetUpdateOptions<T>}
+    */
+   #updateOptions;
+
+   /**
+    * @type {string}
+    */
+   #uuidv4;
+
+   /**
+    * @param {Iterable<T> | TJSDocumentSetOptions}   [documents] - Documents to track or TJSDocumentSetOptions.
+    *
+    * @param {TJSDocumentSetOptions}   [options] - TJSDocumentSet options.
+    */
+   constructor(documents, options = {})
+   {
+      this.#uuidv4 = `tjs-document-set-${Hashing.uuidv4()}`;
+
+      if (isPlainObject(documents)) // Handle case when only options are passed into ctor.
+      {
+         this.setOptions(documents);
+      }
+      else
+      {
+         this.setOptions(options);
+         if (documents !== void 0) { this.set(documents); }
+      }
+
+      Object.seal(this);
+   }
+
+   /**
+    * @returns {number} Number of tracked documents.
+    */
+   get size() { return this.#documents.size; }
+
+   /**
+    * Returns the options passed on last update.
+    *
+    * @returns {TJSDocumentSetUpdateOptions<T>} Last update options.
+    */
+   get updateOptions() { return this.#updateOptions ?? {}; }
+
+   /**
+    * Returns the UUID assigned to this store.
+    *
+    * @returns {string} UUID
+    */
+   get uuidv4() { return this.#uuidv4; }
+
+   /**
+    * Returns the tracked documents iterator.
+    *
+    * @returns {IterableIterator<T>} Tracked documents iterator.
+    * @yields
+    */
+   *[Symbol.iterator]()
+   {
+      yield* this.#documents.values();
+   }
+
+   /**
+    * Adds a document to the set.
+    *
+    * @param {T}  document - Document to add.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    *
+    * @returns {boolean} Whether the document was added.
+    */
+   add(document, options = {})
+   {
+      if (!(document instanceof globalThis.foundry.abstract.Document))
+      {
+         throw new TypeError(`TJSDocumentSet.add error: 'document' is not a valid Document.`);
+      }
+
+      if (!isObject(options)) { throw new TypeError(`TJSDocumentSet.add error: 'options' is not an object.`); }
+
+      if (!this.#addDocument(document)) { return false; }
+
+      this.#updateSubscribers(false, { action: 'tjs-add', uuid: document.uuid, document, ...options });
+
+      return true;
+   }
+
+   /**
+    * Adds a document to the set by Foundry UUID performing a lookup and adding the document if found.
+    *
+    * @param {string}   uuid - A Foundry UUID to lookup.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    *
+    * @returns {Promise<boolean>} True if the document was found and added.
+    */
+   async addFromUUID(uuid, options = {})
+   {
+      const doc = await TJSDocumentSet.#fromUUID(uuid);
+
+      return doc ? this.add(doc, options) : false;
+   }
+
+   /**
+    * Removes all documents from the set.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    */
+   clear(options = {})
+   {
+      if (!isObject(options)) { throw new TypeError(`TJSDocumentSet.clear error: 'options' is not an object.`); }
+
+      if (this.#documents.size === 0) { return; }
+
+      for (const uuid of [...this.#documents.keys()]) { this.#removeDocument(uuid); }
+
+      this.#updateSubscribers(false, { action: 'tjs-clear', ...options });
+   }
+
+   /**
+    * Creates a reducer providing a filtered / sorted view of the tracked documents. The reducer is updated when the
+    * set or any of its documents change and is destroyed along with this set.
+    *
+    * @param {import('#runtime/svelte/store/reducer').DynDataOptions<T>}   [options] - Reducer filters and sort
+    *        options.
+    *
+    * @returns {import('#runtime/svelte/store/reducer').DynMapReducer<string, T>} DynMapReducer instance.
+    */
+   createReducer(options = {})
+   {
+      if (!isObject(options))
+      {
+         throw new TypeError(`TJSDocumentSet.createReducer error: 'options' is not an object.`);
+      }
+
+      const reducer = new DynMapReducer({ ...options, data: this.#documents });
+
+      this.#reducers.add(reducer);
+
+      return reducer;
+   }
+
+   /**
+    * Completely removes all internal subscribers, reducers, any optional delete callback, and unregisters from the
+    * ClientDocumentMixin `apps` tracking object of all documents.
+    */
+   destroy()
+   {
+      // Invalidate any pending `setFromUUIDs` lookups.
+      this.#setCount++;
+
+      for (const uuid of [...this.#documents.keys()]) { this.#removeDocument(uuid); }
+
+      for (const reducer of this.#reducers) { reducer.destroy(); }
+      this.#reducers.clear();
+
+      this.#options.delete = void 0;
+      this.#options.preDelete = void 0;
+
+      this.#subscriptions.length = 0;
+   }
+
+   /**
+    * @param {string}   uuid - Document UUID.
+    *
+    * @returns {T | undefined} Tracked document.
+    */
+   get(uuid) { return this.#documents.get(uuid); }
+
+   /**
+    * @param {string | T}   uuidOrDocument - Document UUID or document.
+    *
+    * @returns {boolean} Whether the document is tracked.
+    */
+   has(uuidOrDocument)
+   {
+      return this.#documents.has(typeof uuidOrDocument === 'string' ? uuidOrDocument : uuidOrDocument?.uuid);
+   }
+
+   /**
+    * Removes a document from the set.
+    *
+    * @param {string | T}   uuidOrDocument - Document UUID or document to remove.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    *
+    * @returns {boolean} Whether the document was removed.
+    */
+   remove(uuidOrDocument, options = {})
+   {
+      if (!isObject(options)) { throw new TypeError(`TJSDocumentSet.remove error: 'options' is not an object.`); }
+
+      const uuid = typeof uuidOrDocument === 'string' ? uuidOrDocument : uuidOrDocument?.uuid;
+
+      const document = this.#removeDocument(uuid);
+
+      if (!document) { return false; }
+
+      this.#updateSubscribers(false, { action: 'tjs-remove', uuid, document, ...options });
+
+      return true;
+   }
+
+   /**
+    * Replaces the tracked documents. Subscribers are notified once when the set changes.
+    *
+    * @param {Iterable<T>}  documents - Documents to track.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    */
+   set(documents, options = {})
+   {
+      if (!isIterable(documents)) { throw new TypeError(`TJSDocumentSet.set error: 'documents' is not iterable.`); }
+
+      if (!isObject(options)) { throw new TypeError(`TJSDocumentSet.set error: 'options' is not an object.`); }
+
+      const docs = [...documents];
+
+      for (const doc of docs)
+      {
+         if (!(doc instanceof globalThis.foundry.abstract.Document))
+         {
+            throw new TypeError(`TJSDocumentSet.set error: 'documents' contains an invalid Document.`);
+         }
+      }
+
+      // Invalidate any pending `setFromUUIDs` lookups.
+      this.#setCount++;
+
+      const uuids = new Set(docs.map((doc) => doc.uuid));
+
+      let changed = false;
+
+      for (const uuid of [...this.#documents.keys()])
+      {
+         if (!uuids.has(uuid)) { changed = this.#removeDocument(uuid) !== void 0 || changed; }
+      }
+
+      for (const doc of docs) { changed = this.#addDocument(doc) || changed; }
+
+      if (changed) { this.#updateSubscribers(false, { action: 'tjs-set', ...options }); }
+   }
+
+   /**
+    * Replaces the tracked documents by Foundry UUIDs performing lookups of all UUIDs. UUIDs that are not found are
+    * skipped. When invoked again before the lookups complete the previous result is discarded.
+    *
+    * @param {Iterable<string>}  uuids - Foundry UUIDs to lookup.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}  [options] - Update options to set.
+    *
+    * @returns {Promise<boolean>} True if all UUIDs were found and the set was replaced.
+    */
+   async setFromUUIDs(uuids, options = {})
+   {
+      if (!isIterable(uuids)) { throw new TypeError(`TJSDocumentSet.setFromUUIDs error: 'uuids' is not iterable.`); }
+
+      const setCount = ++this.#setCount;
+
+      const lookup = [...uuids];
+      const docs = await Promise.all(lookup.map((uuid) => TJSDocumentSet.#fromUUID(uuid)));
+
+      // A newer call to `set`, `setFromUUIDs` or `destroy` supersedes this lookup.
+      if (setCount !== this.#setCount) { return false; }
+
+      const found = docs.filter((doc) => doc instanceof globalThis.foundry.abstract.Document);
+
+      this.set(found, options);
+
+      return found.length === lookup.length;
+   }
+
+   /**
+    * Sets options for this document set wrapper / store.
+    *
+    * @param {TJSDocumentSetOptions}   options - Options for TJSDocumentSet.
+    */
+   setOptions(options)
+   {
+      if (!isObject(options))
+      {
+         throw new TypeError(`TJSDocumentSet error: 'options' is not an object.`);
+      }
+
+      // Verify valid values -------------
+
+      if (options.delete !== void 0 && options.delete !== null && typeof options.delete !== 'function')
+      {
+         throw new TypeError(`TJSDocumentSet error: 'delete' attribute in options is not a function or null.`);
+      }
+
+      if (options.preDelete !== void 0 && options.preDelete !== null && typeof options.preDelete !== 'function')
+      {
+         throw new TypeError(`TJSDocumentSet error: 'preDelete' attribute in options is not a function or null.`);
+      }
+
+      // Set any valid values -------------
+
+      if (options.delete !== void 0)
+      {
+         this.#options.delete = typeof options.delete === 'function' ? options.delete : void 0;
+      }
+
+      if (options.preDelete !== void 0)
+      {
+         this.#options.preDelete = typeof options.preDelete === 'function' ? options.preDelete : void 0;
+      }
+   }
+
+   /**
+    * @param {(value: TJSDocumentSet<T>, updateOptions?: TJSDocumentSetUpdateOptions<T>) => void} handler - Callback
+    * function that is invoked on update / changes.
+    *
+    * @returns {import('svelte/store').Unsubscriber} Unsubscribe function.
+    */
+   subscribe(handler)
+   {
+      this.#subscriptions.push(handler);           // Add handler to the array of subscribers.
+
+      const updateOptions = { action: 'subscribe', data: void 0 };
+
+      handler(this, updateOptions);                // Call handler with current value and update options.
+
+      // Return unsubscribe function.
+      return () =>
+      {
+         const index = this.#subscriptions.findIndex((sub) => sub === handler);
+         if (index >= 0) { this.#subscriptions.splice(index, 1); }
+      };
+   }
+
+   // Internal implementation ----------------------------------------------------------------------------------------
+
+   /**
+    * Performs a Foundry UUID lookup.
+    *
+    * @param {string}   uuid - A Foundry UUID to lookup.
+    *
+    * @returns {Promise<foundry.abstract.Document | undefined>} The found document.
+    */
+   static async #fromUUID(uuid)
+   {
+      if (typeof uuid !== 'string' || uuid.length === 0) { return void 0; }
+
+      try
+      {
+         return await globalThis.fromUuid(uuid) ?? void 0;
+      }
+      catch (err) { /**/ }
+
+      return void 0;
+   }
+
+   /**
+    * Tracks a document and registers the callback API with the document.
+    *
+    * @param {T}  doc - Document to add.
+    *
+    * @returns {boolean} Whether the document was added.
+    */
+   #addDocument(doc)
+   {
+      const uuid = doc.uuid;
+
+      if (this.#documents.has(uuid)) { return false; }
+
+      const callbackAPI = {
+         close: () => this.#deleted(uuid),
+         render: (force, options = {}) => this.#updateSubscribers(force, { ...options, uuid, document: doc })
+      };
+
+      this.#documents.set(uuid, doc);
+      this.#callbackAPI.set(uuid, callbackAPI);
+
+      if (isObject(doc.apps) && !doc.apps[this.#uuidv4]) { doc.apps[this.#uuidv4] = callbackAPI; }
+
+      return true;
+   }
+
+   /**
+    * Handles cleanup when a tracked document is deleted. Invoking any optional delete function set in the constructor.
+    *
+    * @param {string}   uuid - Document UUID.
+    *
+    * @returns {Promise<void>}
+    */
+   async #deleted(uuid)
+   {
+      const doc = this.#documents.get(uuid);
+
+      // Check to see if the document is still in the associated collection to determine if actually deleted.
+      if (doc instanceof globalThis.foundry.abstract.Document && !doc?.collection?.has(doc.id))
+      {
+         this.#removeDocument(uuid);
+
+         if (typeof this.#options.preDelete === 'function') { await this.#options.preDelete(doc); }
+
+         this.#updateSubscribers(false, { action: 'delete', uuid, document: doc, data: void 0 });
+
+         if (typeof this.#options.delete === 'function') { await this.#options.delete(doc); }
+
+         // Allow subscribers to be able to query `updateOptions` involving any reactive statements.
+         await tick();
+
+         this.#updateOptions = void 0;
+      }
+   }
+
+   /**
+    * Stops tracking a document and unregisters the callback API from the document.
+    *
+    * @param {string}   uuid - Document UUID.
+    *
+    * @returns {T | undefined} The removed document.
+    */
+   #removeDocument(uuid)
+   {
+      const doc = this.#documents.get(uuid);
+
+      if (!doc) { return void 0; }
+
+      if (isObject(doc.apps) && doc.apps[this.#uuidv4] === this.#callbackAPI.get(uuid))
+      {
+         delete doc.apps[this.#uuidv4];
+      }
+
+      this.#documents.delete(uuid);
+      this.#callbackAPI.delete(uuid);
+
+      return doc;
+   }
+
+   /**
+    * @param {boolean}  [force] - unused - signature from Foundry render function.
+    *
+    * @param {TJSDocumentSetUpdateOptions<T>}   [options] - Options from render call; will have document update
+    *        context.
+    */
+   #updateSubscribers(force = false, options = {}) // eslint-disable-line no-unused-vars
+   {
+      this.#updateOptions = options;
+
+      for (const reducer of this.#reducers) { reducer.index.update(true); }
+
+      for (let cntr = 0; cntr < this.#subscriptions.length; cntr++) { this.#subscriptions[cntr](this, options); }
+   }
+}
+
+/**
+ * @typedef {object} TJSDocumentSetOptions
+ *
+ * @property {((doc?: object) => void) | null} [delete] Optional post delete function to invoke when a tracked
+ * document is deleted _after_ subscribers have been notified.
+ *
+ * @property {((doc?: object) => void) | null} [preDelete] Optional pre delete function to invoke when a tracked
+ * document is deleted _before_ subscribers are notified.
+ */
+
+/**
+ * @template T
+ * @typedef TJSDocumentSetUpdateOptions Provides data regarding the latest document set change.
+ *
+ * @property {string}   [action] The update action. Useful for filtering.
+ *
+ * @property {string}   [renderContext] The render context of document changes. Useful for filtering.
+ *
+ * @property {string}   [uuid] The UUID of the document that changed.
+ *
+ * @property {T}        [document] The document that changed.
+ *
+ * @property {object[]|string[]} [data] Foundry data associated with document changes.
+ */
@@ -0,0 +1,86 @@
+import { readable }     from '#svelte/store';
+
+/**
+ * Creates a readable store for `TJSDocument.select` that notifies subscribers only when the selected value changes.
+ *
+ * A path selector compares the property paths of the update data in `updateOptions` against the selected path, so
+ * unrelated updates are skipped without reading the document. A function selector is invoked with the document on
+ * each change. Selected values are compared with `equals`; by default `Object.is`. As documents are updated in place
+ * a selected object is always considered changed when its path is in the update data.
+ *
+ * @param {import('./TJSDocument').TJSDocument} tjsDoc - The associated TJSDocument.
+ *
+ * @param {string | ((doc: object) => *)} selector - Property path in dot notation or selector function.
+ *
+ * @param {(a: *, b: *) => boolean} [equals=Object.is] - Compares the previous and next selected values.
+ *
+ * @returns {import('svelte/store').Readable<*>} Selected value store.
+ */
+export function createDocumentSelector(tjsDoc, selector, equals = Object.is)
+{
+   const isPath = typeof selector === 'string';
+
+   /**
+    * @param {object}   doc - Document.
+    *
+    * @returns {*} Selected value.
+    */
+   const select = (doc) =>
+   {
+      if (!doc) { return void 0; }
+
+      return isPath ? globalThis.foundry.utils.getProperty(doc, selector) : selector(doc);
+   };
+
+   return readable(select(tjsDoc.get()), (set) =>
+   {
+      let current;
+      let initialized = false;
+
+      return tjsDoc.subscribe((doc, updateOptions) =>
+      {
+         // Skip path selectors for document updates that don't change the path.
+         if (initialized && isPath && !isPathChanged(selector, updateOptions)) { return; }
+
+         const value = select(doc);
+
+         const changed = !initialized || !equals(current, value) ||
+          (isPath && typeof value === 'object' && value !== null);
+
+         initialized = true;
+
+         if (changed)
+         {
+            current = value;
+            set(value);
+         }
+      });
+   });
+}
+
+/**
+ * Determines if the update data of a document update may change the given path. Updates without object update data
+ * such as embedded document changes or setting a new document are treated as changing the path.
+ *
+ * @param {string}   path - Property path.
+ *
+ * @param {import('./TJSDocument').TJSDocumentUpdateOptions} updateOptions - Update options.
+ *
+ * @returns {boolean} Whether the path may have changed.
+ */
+function isPathChanged(path, updateOptions)
+{
+   const data = updateOptions?.data;
+
+   if (updateOptions?.action !== 'update' || typeof data !== 'object' || data === null || Array.isArray(data))
+   {
+      return true;
+   }
+
+   for (const key of Object.keys(globalThis.foundry.utils.flattenObject(data)))
+   {
+      if (key === path || key.startsWith(`${path}.`) || path.startsWith(`${key}.`)) { return true; }
+   }
+
+   return false;
+}
@@ -1,2 +1,4 @@
 export * from './TJSDocument.js';
 export * from './TJSDocumentCollection.js';
+export * from './TJSDocumentHistory.js';
+export * from './TJSDocumentSet.js';
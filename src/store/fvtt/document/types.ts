@@ -2,6 +2,8 @@ import type {
    DynOptionsMapCreate,
    DynMapReducer } from '#runtime/svelte/store/reducer';
 
+import type { Writable } from 'svelte/store';
+
 /**
  * Provides the public embedded reactive collection API.
  */
@@ -31,4 +33,56 @@ interface NamedDocumentConstructor {
    readonly documentName: string;
 }
 
-export { EmbeddedAPI, NamedDocumentConstructor };
+/**
+ * Provides a writable store for a document property returned by `TJSDocument.field`.
+ */
+interface TJSDocumentField extends Writable<any> {
+   /**
+    * Property path in dot notation.
+    */
+   readonly path: string;
+
+   /**
+    * Whether local changes are waiting to be sent or in flight.
+    */
+   readonly pending: boolean;
+
+   /**
+    * Immediately sends all pending changes of the document; resolves whether the update succeeded.
+    */
+   flush(): Promise<boolean>;
+}
+
+/**
+ * Defines a change recorded by `TJSDocumentHistory`.
+ */
+type TJSDocumentHistoryOperation =
+ /**
+  * Document update; values by property path before and after the update.
+  */
+ { type: 'update', before: Record<string, any>, after: Record<string, any> } |
+
+ /**
+  * Embedded documents created or deleted; the source data of the documents.
+  */
+ { type: 'create' | 'delete', name: string, data: object[] } |
+
+ /**
+  * Embedded documents updated; update data with `_id` before and after the update.
+  */
+ { type: 'updateEmbedded', name: string, before: object[], after: object[] };
+
+/**
+ * Defines a group of changes undone / redone together by `TJSDocumentHistory`.
+ */
+type TJSDocumentHistoryTransaction = {
+   operations: TJSDocumentHistoryOperation[];
+};
+
+export {
+   EmbeddedAPI,
+   NamedDocumentConstructor,
+   TJSDocumentField,
+   TJSDocumentHistoryOperation,
+   TJSDocumentHistoryTransaction
+};
@@ -0,0 +1,318 @@
+import {
+   beforeEach,
+   describe,
+   expect,
+   it,
+   vi }                    from 'vitest';
+
+import { TJSSocketDialog } from '../../../src/application/TJSSocketDialog.js';
+
+// TJSDialog requires Svelte & Foundry; all tests inject a mock dialog class.
+vi.mock('../../../src/application/TJSDialog.js', () => ({ TJSDialog: {} }));
+
+const channel = 'module.test';
+
+/**
+ * Creates a mock socket network that delivers emitted messages to all other connected clients like `game.socket`.
+ */
+class MockNetwork
+{
+   /** @type {Map<string, Function>} */
+   handlers = new Map();
+
+   /**
+    * @param {string}   userId - Client user ID.
+    *
+    * @returns {{ emit: Function, on: Function, off: Function }} Mock socket.
+    */
+   createSocket(userId)
+   {
+      return {
+         emit: vi.fn((emitChannel, message) =>
+         {
+            for (const [id, handler] of this.handlers)
+            {
+               if (id !== userId) { handler(structuredClone(message)); }
+            }
+         }),
+
+         on: vi.fn((onChannel, handler) => this.handlers.set(userId, handler)),
+
+         off: vi.fn(() => this.handlers.delete(userId))
+      };
+   }
+}
+
+/**
+ * Creates a mock dialog class recording displayed dialogs so that tests may respond on behalf of a user.
+ *
+ * @returns {{ dialogs: object[], confirm: Function, wait: Function }} Mock dialog class.
+ */
+function createDialogClass()
+{
+   const dialogs = [];
+
+   const display = (factory) => vi.fn(({ signal, ...data }) => new Promise((resolve, reject) =>
+   {
+      const dialog = { factory, data, signal, closed: false, respond: resolve };
+      dialogs.push(dialog);
+
+      signal.addEventListener('abort', () =>
+      {
+         dialog.closed = true;
+         reject(signal.reason);
+      });
+   }));
+
+   return { dialogs, confirm: display('confirm'), wait: display('wait') };
+}
+
+/**
+ * Waits for pending dialog responses to be delivered.
+ *
+ * @returns {Promise<void>}
+ */
+function flush()
+{
+   return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('TJSSocketDialog', () =>
+{
+   const userIds = ['gm', 'alice', 'bob'];
+
+   /** @type {Record<string, { socketDialog: TJSSocketDialog, dialogClass: object, socket: object }>} */
+   let clients;
+
+   beforeEach(() =>
+   {
+      const network = new MockNetwork();
+
+      clients = {};
+
+      for (const userId of userIds)
+      {
+         const dialogClass = createDialogClass();
+         const mockSocket = network.createSocket(userId);
+         const socketDialog = new TJSSocketDialog({ channel, dialogClass, socket: mockSocket, userId });
+
+         socketDialog.listen();
+
+         clients[userId] = { socketDialog, dialogClass, socket: mockSocket };
+      }
+   });
+
+   /**
+    * @param {string}   userId - User ID.
+    *
+    * @returns {object} The last dialog displayed for the user.
+    */
+   const dialogOf = (userId) => clients[userId].dialogClass.dialogs.at(-1);
+
+   describe('errors', () =>
+   {
+      it('socket without emit / on', () =>
+      {
+         expect(() => new TJSSocketDialog({ channel, dialogClass: createDialogClass(), socket: {}, userId: 'gm' }))
+          .toThrow(TypeError);
+      });
+
+      it('request before listen', () =>
+      {
+         const socketDialog = new TJSSocketDialog({ channel, dialogClass: createDialogClass(),
+          socket: new MockNetwork().createSocket('gm'), userId: 'gm' });
+
+         expect(() => socketDialog.request({ users: ['gm'] })).toThrow(Error);
+      });
+
+      it('invalid options', () =>
+      {
+         const { socketDialog } = clients.gm;
+
+         expect(() => socketDialog.request({ factory: 'bad', users: userIds })).toThrow(TypeError);
+         expect(() => socketDialog.request({ mode: 'bad', users: userIds })).toThrow(TypeError);
+         expect(() => socketDialog.request({ users: [1] })).toThrow(TypeError);
+      });
+
+      it('already aborted signal', () =>
+      {
+         const controller = new AbortController();
+         controller.abort(new Error('aborted'));
+
+         expect(() => clients.gm.socketDialog.request({ users: userIds, signal: controller.signal }))
+          .toThrow('aborted');
+
+         expect(clients.gm.socket.emit).not.toHaveBeenCalled();
+      });
+   });
+
+   it('displays the dialog on requested clients', () =>
+   {
+      const data = { title: 'Vote' };
+
+      clients.gm.socketDialog.request({ factory: 'confirm', data, users: ['gm', 'alice'] });
+
+      expect(dialogOf('gm')).toMatchObject({ factory: 'confirm', data });
+      expect(dialogOf('alice')).toMatchObject({ factory: 'confirm', data });
+      expect(dialogOf('bob')).toBeUndefined();
+   });
+
+   describe('mode: all', () =>
+   {
+      it('resolves with responses by user ID', async () =>
+      {
+         const { requestId, promise } = clients.gm.socketDialog.request({ mode: 'all', users: userIds });
+
+         dialogOf('gm').respond('a');
+         dialogOf('alice').respond('b');
+         await flush();
+
+         expect(clients.gm.socketDialog.size).toBe(1);
+
+         dialogOf('bob').respond(void 0);
+
+         await expect(promise).resolves.toEqual({
+            requestId,
+            mode: 'all',
+            result: { gm: 'a', alice: 'b', bob: null },
+            responses: { gm: 'a', alice: 'b', bob: null },
+            pending: [],
+            disconnected: []
+         });
+
+         expect(clients.gm.socketDialog.size).toBe(0);
+      });
+   });
+
+   describe('mode: first', () =>
+   {
+      it('first non-null response wins and remaining dialogs close', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ mode: 'first', users: userIds });
+
+         dialogOf('gm').respond(null);
+         dialogOf('alice').respond('yes');
+
+         const { result, pending } = await promise;
+
+         expect(result).toBe('yes');
+         expect(pending).toEqual(['bob']);
+         expect(dialogOf('bob').closed).toBe(true);
+      });
+   });
+
+   describe('mode: majority', () =>
+   {
+      it('resolves when a response is shared by more than half of the users', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ factory: 'confirm', mode: 'majority', users: userIds });
+
+         dialogOf('gm').respond(true);
+         dialogOf('alice').respond(true);
+
+         const { result } = await promise;
+
+         expect(result).toBe(true);
+         expect(dialogOf('bob').closed).toBe(true);
+      });
+
+      it('resolves with null when no majority is possible', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ mode: 'majority', users: userIds });
+
+         dialogOf('gm').respond(null);
+         dialogOf('alice').respond(null);
+
+         const { result, responses } = await promise;
+
+         expect(result).toBeNull();
+         expect(responses).toEqual({ gm: null, alice: null });
+         expect(dialogOf('bob').closed).toBe(true);
+      });
+   });
+
+   describe('disconnect', () =>
+   {
+      it('disconnected users no longer count as pending', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ mode: 'all', users: userIds });
+
+         dialogOf('gm').respond('a');
+         dialogOf('alice').respond('b');
+         await flush();
+
+         clients.gm.socketDialog.handleDisconnect('bob');
+
+         const { result, pending, disconnected } = await promise;
+
+         expect(result).toEqual({ gm: 'a', alice: 'b' });
+         expect(pending).toEqual([]);
+         expect(disconnected).toEqual(['bob']);
+      });
+
+      it('disconnects may prevent a majority', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ mode: 'majority', users: userIds });
+
+         dialogOf('gm').respond('a');
+         await flush();
+
+         clients.gm.socketDialog.handleDisconnect('alice');
+         clients.gm.socketDialog.handleDisconnect('bob');
+
+         const { result, disconnected } = await promise;
+
+         expect(result).toBeNull();
+         expect(disconnected).toEqual(['alice', 'bob']);
+      });
+   });
+
+   describe('cancel', () =>
+   {
+      it('cancels a pending request by ID', async () =>
+      {
+         const { requestId, promise } = clients.gm.socketDialog.request({ mode: 'all', users: userIds });
+
+         dialogOf('alice').respond('b');
+         await flush();
+
+         expect(clients.gm.socketDialog.cancel(requestId)).toBe(true);
+         expect(clients.gm.socketDialog.cancel(requestId)).toBe(false);
+
+         const { result, responses, pending } = await promise;
+
+         expect(result).toBeNull();
+         expect(responses).toEqual({ alice: 'b' });
+         expect(pending).toEqual(['gm', 'bob']);
+         expect(dialogOf('gm').closed).toBe(true);
+         expect(dialogOf('bob').closed).toBe(true);
+      });
+
+      it('aborting the signal rejects the request', async () =>
+      {
+         const controller = new AbortController();
+
+         const { promise } = clients.gm.socketDialog.request({ users: userIds, signal: controller.signal });
+
+         controller.abort(new Error('aborted'));
+
+         await expect(promise).rejects.toThrow('aborted');
+         expect(dialogOf('alice').closed).toBe(true);
+      });
+
+      it('unlisten cancels pending requests and stops handling messages', async () =>
+      {
+         const { promise } = clients.gm.socketDialog.request({ users: ['alice'] });
+
+         clients.gm.socketDialog.unlisten();
+
+         expect(clients.gm.socketDialog.listening).toBe(false);
+         expect(clients.gm.socket.off).toHaveBeenCalled();
+
+         const { result, pending } = await promise;
+
+         expect(result).toBeNull();
+         expect(pending).toEqual(['alice']);
+      });
+   });
+});